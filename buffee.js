@@ -26,7 +26,7 @@
  * editor.Model.text = 'Hello, World!';
  */
 function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
-  this.version = "12.0.0-alpha";
+  this.version = "12.15.8-alpha";
   const self = this;
   /** Replaces tabs with spaces (spaces = number of spaces, 0 = keep tabs) */
   const expandTabs = s => Mode.spaces ? s.replace(/\t/g, ' '.repeat(Mode.spaces)) : s;
@@ -52,7 +52,8 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
   const editorPaddingPX = prop("--buffee-padding");
   const gutterDigitsMinimum = prop("--buffee-gutter-digits-initial");
   let gutterDigits = -1; // as long as different from guggers digit minimum, we trigger setting gutter on first render
-  const gutterCols = () => gutterDigits + prop("--buffee-gutter-digits-padding");
+  let gutterLanes = 0;   // 1ch marker lane per gutter renderer, left of the line numbers
+  const gutterCols = () => gutterLanes + gutterDigits + prop("--buffee-gutter-digits-padding");
   const $ = (n, q) => n.querySelector(q); 
   const $e = $($parent, '.buffee-elements');
   const $l = $($e, '.buffee-lines');
@@ -85,6 +86,54 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
   let tail = head;
   let maxCol = head.col;
 
+  // Secondary ranges for multiple cursors, each { tail, head, maxCol } with absolute rows.
+  // The primary range stays in head/tail; secondary ranges shift with every primitive edit.
+  const ranges = [];
+  let spreading = false; // True while eachRange() replays an operation per range
+  let blockMode = false; // Rectangular selection: tail and head are opposite corners
+  const isBefore = (a, b) => a.row < b.row || a.row === b.row && a.col < b.col;
+
+  // Word boundary classes shared by word movement and double-click selection
+  const isSpace = ch => /\s/.test(ch);
+  const isWord = ch => /[\p{L}\p{Nd}_]/u.test(ch);
+
+  /**
+   * Column one word back from col within line s (col > 0).
+   * Word boundaries are whitespace, word characters, or punctuation runs.
+   */
+  function wordBefore(s, j) {
+    if (isSpace(s[j - 1])) { // Case 1: after whitespace → skip run to start of spaces, then the word before
+      while (j > 0 && isSpace(s[j - 1])) j--;
+      while (j > 0 && isWord(s[j - 1])) j--;
+    } else if (isWord(s[j - 1])) { // Case 2: after word-chars → consume word run to its first char
+      while (j > 0 && isWord(s[j - 1])) j--;
+    } else { // Case 3: after punctuation/symbols
+      const c = s[j - 1];
+      // Consuming continuous sequence of the same char
+      while (j > 0 && s[j - 1] === c) j--;
+    }
+    return j;
+  }
+
+  /**
+   * Column one word forward from col within line s (col < s.length).
+   * Word boundaries are whitespace, word characters, or punctuation runs.
+   */
+  function wordAfter(s, j) {
+    const n = s.length;
+    if (isSpace(s[j])) { // Case 1: at whitespace → skip run to end of spaces, then next non-word
+      while (j < n && isSpace(s[j])) j++;
+      while (j < n && isWord(s[j])) j++;
+    } else if (isWord(s[j])) { // Case 2: at word-chars → consume word run to 1 past the word
+      while (j < n && isWord(s[j])) j++;
+    } else { // Case 3: at punctuation/symbols
+      const c = s[j++];
+      // Consuming continuous sequence of the same char
+      while( j < n && s[j] === c) j++;
+    }
+    return j;
+  }
+
   /**
    * Selection management for cursor and text selection operations.
    * Handles cursor movement, text selection, insertion, and deletion.
@@ -95,7 +144,25 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
      * Returns selection bounds in document order [start, end].
      * @returns {[Position, Position]} Array of [start, end] positions
      */
-    get ordered() { return this.isForwardSelection ? [tail, head] : [head, tail] },
+    get ordered() {
+      if (blockMode && head !== tail) return blockCorners();
+      return this.isForwardSelection ? [tail, head] : [head, tail]
+    },
+
+    /**
+     * Block (rectangular) selection mode, like Vim's visual-block.
+     * The selection covers the same columns on every row from tail to head:
+     * copy takes a column slice of each row, typing and deleting apply to
+     * every row, and pasting several lines fills the rows one line each.
+     * Alt+drag turns it on and Escape turns it off.
+     * @type {boolean}
+     */
+    get blockMode() { return blockMode; },
+    set blockMode(value) {
+      blockMode = !!value;
+      if (blockMode) ranges.length = 0;
+      render();
+    },
 
     /**
      * Moves the cursor/selection head vertically.
@@ -193,12 +260,106 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       this.makeCursor();
     },
 
+    /**
+     * Selects from an anchor (tail) to a head position, both absolute.
+     * Collapses to a cursor when both positions are equal.
+     * @param {Position} anchor - Fixed end of the selection
+     * @param {Position} focus - Moving end of the selection (cursor)
+     */
+    setSelection(anchor, focus) {
+      this.setCursor(anchor);
+      if (focus.row !== anchor.row || focus.col !== anchor.col) {
+        this.makeSelection();
+        head.row = focus.row;
+        head.col = focus.col;
+      }
+      maxCol = head.col;
+    },
+
+    /**
+     * All ranges in document order, the primary one included.
+     * A cursor has equal tail and head.
+     * @returns {{tail: Position, head: Position, primary: boolean}[]} Copies of each range
+     */
+    get ranges() {
+      return [{ tail, head, primary: true }, ...ranges]
+        .map(r => ({ tail: { ...r.tail }, head: { ...r.head }, primary: !!r.primary }))
+        .sort((a, b) => isBefore(rangeStart(a), rangeStart(b)) ? -1 : 1);
+    },
+
+    /**
+     * Adds a selection range and makes it primary; the current range becomes secondary.
+     * Editing operations then apply to every range.
+     * @param {Position} anchor - Fixed end of the new range
+     * @param {Position} focus - Moving end (cursor) of the new range
+     */
+    addRange(anchor, focus) {
+      blockMode = false;
+      ranges.push({ tail: { ...tail }, head: { ...head }, maxCol });
+      this.setSelection(anchor, focus);
+      mergeRanges();
+      render();
+    },
+
+    /**
+     * Adds a cursor at an absolute position, or removes the secondary cursor already there.
+     * @param {Position} position - Cursor position (absolute row)
+     */
+    addCursor({ row, col }) {
+      const i = ranges.findIndex(r => r.head.row === row && r.head.col === col);
+      if (i !== -1) {
+        ranges.splice(i, 1);
+        render();
+      } else if (row !== head.row || col !== head.col) {
+        this.addRange({ row, col }, { row, col });
+      }
+    },
+
+    /**
+     * Adds the next occurrence of the selected text as a new primary range (Cmd+D).
+     * With a cursor, selects the word under it first. Searches forward and wraps.
+     */
+    addNextOccurrence() {
+      if (!this.isSelection) {
+        const [start, end] = wordAt(Model.lines[head.row], head.col);
+        this.setSelection({ row: head.row, col: start }, { row: head.row, col: end });
+        return render();
+      }
+      const [first, second] = this.ordered;
+      if (first.row !== second.row) return;
+      const needle = Model.lines[first.row].slice(first.col, second.col);
+      const taken = new Set([first, ...ranges.map(rangeStart)].map(p => p.row + ',' + p.col));
+      const lineCount = Model.lastIndex + 1;
+      for (let i = 0; i <= lineCount; i++) {
+        const row = (second.row + i) % lineCount;
+        for (let col = Model.lines[row].indexOf(needle, i ? 0 : second.col); col !== -1; col = Model.lines[row].indexOf(needle, col + 1)) {
+          if (taken.has(row + ',' + col)) continue;
+          if (row < Viewport.start || row > Viewport.end) {
+            Viewport.start = clampViewportStart(row - (Viewport.size >> 1));
+          }
+          return this.addRange({ row, col }, { row, col: col + needle.length });
+        }
+      }
+    },
+
+    /**
+     * Drops all secondary ranges, keeping the primary one.
+     */
+    clearRanges() {
+      if (!ranges.length) return;
+      ranges.length = 0;
+      render();
+    },
+
     /**
      * Gets the selected text as an array of lines.
      * @returns {string[]} Array of selected line contents
      */
     get lines() {
       const [left, right] = this.ordered;
+      if (blockMode && this.isSelection) {
+        return Model.lines.slice(left.row, right.row + 1).map(line => line.slice(left.col, right.col));
+      }
       if(left.row === right.row) {
         const text = Model.lines[left.row];
         const isLastLine = left.row === Model.lastIndex;
@@ -253,12 +414,72 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       render();
     },
 
+    /**
+     * Moves the cursor/selection head by a page (Viewport.size lines).
+     * The viewport scrolls by the same amount, and the column follows maxCol
+     * like a vertical arrow move.
+     * @param {number} value - Direction to move: 1 for down, -1 for up
+     */
+    movePage(value) {
+      const delta = value * Viewport.size;
+      head.row = Math.max(0, Math.min(head.row + delta, Model.lastIndex));
+      head.col = Math.min(maxCol, Model.lines[head.row].length);
+      Viewport.start = clampViewportStart(Viewport.start + delta);
+      // Page may be clipped at either end of the document
+      if (head.row < Viewport.start) {
+        Viewport.start = head.row;
+      } else if (head.row > Viewport.end) {
+        Viewport.start = head.row - Viewport.size + 1;
+      }
+      render();
+    },
+
+    /**
+     * Moves cursor to the start of the document.
+     */
+    moveDocumentStart() {
+      maxCol = head.col = head.row = 0;
+      Viewport.start = 0;
+      render();
+    },
+
+    /**
+     * Moves cursor to the end of the document.
+     */
+    moveDocumentEnd() {
+      head.row = Model.lastIndex;
+      maxCol = head.col = Model.lines[head.row].length;
+      if (head.row > Viewport.end) {
+        Viewport.start = head.row - Viewport.size + 1;
+      }
+      render();
+    },
+
+    /**
+     * Moves the cursor to a line and centers it in the viewport.
+     * Line and column are 1-indexed, as in the status bar, and clamped to the document.
+     * The column becomes maxCol, so Up/Down continue from it.
+     * @param {number} n - Line number (1-indexed); nothing happens unless it is a finite number
+     * @param {number} [col=1] - Column (1-indexed); 1 unless it is a finite number
+     */
+    goToLine(n, col = 1) {
+      if (!Number.isFinite(n)) return;
+      if (!Number.isFinite(col)) col = 1;
+      const row = Math.max(0, Math.min(Math.floor(n) - 1, Model.lastIndex));
+      ranges.length = 0;
+      this.setCursor({ row, col: Math.max(0, Math.min(Math.floor(col) - 1, Model.lines[row].length)) });
+      maxCol = head.col;
+      Viewport.start = clampViewportStart(row - (Viewport.size >> 1));
+      render();
+    },
+
     /**
      * Inserts a string at cursor position, replacing any selection.
      * @param {string} s - String to insert
      * @param {boolean} [skipRender=false] - Skip rendering (for batched operations)
      */
     insert(s, skipRender = false) {
+      if (spread(() => this.insert(s, true))) return;
       s = expandTabs(s);
       if (this.isSelection) {
         const [first] = this.ordered;
@@ -304,6 +525,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
      * Deletes the character before cursor or the current selection.
      */
     delete() {
+      if (spread(() => this.delete())) return;
       if (this.isSelection) return this.insert('');
 
       if (tail.col > 0) {
@@ -326,10 +548,83 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       render();
     },
 
+    /**
+     * Deletes the character after cursor or the current selection.
+     * At end of line, joins the next line onto the current one.
+     */
+    deleteForward() {
+      if (spread(() => this.deleteForward())) return;
+      if (this.isSelection) return this.insert('');
+
+      const s = Model.lines[tail.row];
+      if (tail.col < s.length) {
+        self._.delete(tail.row, tail.col, s[tail.col]);
+      } else if (tail.row < Model.lastIndex) {
+        self._.delete(tail.row, tail.col, '\n');
+      }
+
+      render();
+    },
+
+    /**
+     * Deletes one word before or after the cursor, or the current selection.
+     * Uses the word boundaries of moveBackWord/moveWord; at a line edge,
+     * falls back to delete/deleteForward to join lines.
+     * @param {number} value - Direction: 1 for forward, -1 for backward
+     */
+    deleteWord(value) {
+      if (spread(() => this.deleteWord(value))) return;
+      if (this.isSelection) return this.insert('');
+
+      const s = Model.lines[tail.row];
+      if (value > 0) {
+        if (tail.col === s.length) return this.deleteForward();
+        self._.delete(tail.row, tail.col, s.slice(tail.col, wordAfter(s, tail.col)));
+      } else {
+        if (tail.col === 0) return this.delete();
+        const col = wordBefore(s, tail.col);
+        self._.delete(tail.row, col, s.slice(col, tail.col));
+        maxCol = head.col = col;
+      }
+
+      render();
+    },
+
+    /**
+     * Deletes from line start to cursor, or the current selection.
+     * At column 0, behaves like delete.
+     */
+    deleteToLineStart() {
+      if (spread(() => this.deleteToLineStart())) return;
+      if (this.isSelection) return this.insert('');
+      if (tail.col === 0) return this.delete();
+
+      self._.delete(tail.row, 0, Model.lines[tail.row].slice(0, tail.col));
+      maxCol = head.col = 0;
+
+      render();
+    },
+
+    /**
+     * Deletes from cursor to line end, or the current selection.
+     * At end of line, behaves like deleteForward.
+     */
+    deleteToLineEnd() {
+      if (spread(() => this.deleteToLineEnd())) return;
+      if (this.isSelection) return this.insert('');
+
+      const s = Model.lines[tail.row];
+      if (tail.col === s.length) return this.deleteForward();
+      self._.delete(tail.row, tail.col, s.slice(tail.col));
+
+      render();
+    },
+
     /**
      * Inserts a new line at cursor position, splitting the current line.
      */
     newLine() {
+      if (spread(() => this.newLine())) return;
       if (this.isSelection) Selection.insert('', true); // skipRender - we render below
 
       // Insert newline character
@@ -359,20 +654,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
         }
         // else: at first line of file - do nothing
       } else {
-        const isSpace = ch => /\s/.test(ch);
-        const isWord = ch => /[\p{L}\p{Nd}_]/u.test(ch);
-        let j = head.col;
-        if (isSpace(s[j])) { // Case 1: at whitespace → skip to next non-space character
-          while (j > 0 && isSpace(s[j])) j--;
-          while (j > 0 && isWord(s[j])) j--;
-        } else if (isWord(s[j])) { // Case 2: at word-chars → consume word run to 1 past the word
-          while (j > 0 && isWord(s[j])) j--;
-        } else { // Case 3: at punctuation/symbols
-          const c = s[j--];
-          // Consuming continuous sequence of the same char
-          while( j > 0 && s[j] === c) j--;
-        }
-        head.col = j;
+        head.col = wordBefore(s, head.col);
       }
 
       render();
@@ -384,8 +666,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
      */
     moveWord() {
       const s = Model.lines[head.row];
-      const n = s.length;
-      if(head.col === n) { // Edge case: At end of line
+      if(head.col === s.length) { // Edge case: At end of line
         if (head.row < Model.lastIndex) {
           // Not at last line - move to next line
           head.col = 0;
@@ -397,20 +678,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
         }
         // else: at end of file - do nothing
       } else {
-        const isSpace = ch => /\s/.test(ch);
-        const isWord = ch => /[\p{L}\p{Nd}_]/u.test(ch);
-        let j = head.col;
-        if (isSpace(s[j])) { // Case 1: at whitespace → skip run to end of spaces, then next non-word
-          while (j < n && isSpace(s[j])) j++;
-          while (j < n && isWord(s[j])) j++;
-        } else if (isWord(s[j])) { // Case 2: at word-chars → consume word run to 1 past the word
-          while (j < n && isWord(s[j])) j++;
-        } else { // Case 3: at punctuation/symbols
-          const c = s[j++];
-          // Consuming continuous sequence of the same char
-          while( j < n && s[j] === c) j++;
-        }
-        head.col = j;
+        head.col = wordAfter(s, head.col);
       }
 
       render();
@@ -422,10 +690,16 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
      */
     indent() {
       if(!this.isSelection) return;
-      const [first, second] = this.ordered;
-
-      for(let i = first.row; i <= second.row; i++)
-        Model.lines[i] = " ".repeat(Mode.spaces) + Model.lines[i];
+      // ordered returns copies of a block's corners; move the real tail and head
+      const [first, second] = blockMode ? rangeEdges({ tail, head }) : this.ordered;
+
+      const indentation = " ".repeat(Mode.spaces);
+      oneUndoStep(() => {
+        for(let i = first.row; i <= second.row; i++) {
+          Model.lines[i] = indentation + Model.lines[i];
+          emitChange(i, 0, '', indentation);
+        }
+      });
 
       first.col += Mode.spaces;
       second.col += Mode.spaces;
@@ -444,38 +718,42 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       // vim: removes the selection, although it does keep a hidden memory of the most recent indentation operation which you can repeat.
       // intellij: move all selected lines by indentation of number spaces, unless there is not enough to unindent
       // Currently we follow intellij implementation but perhaps VSCode's is the best.
-      const [first, second] = this.ordered;
-
-      for(let i = first.row; i <= second.row; i++) {
-        if( i  === first.row || i === second.row) {
-          const cursor = i === first.row ? first : second;
-          // Cursor movement of first and second depends on spaces left and right of it .
-          let indentableSpacesLeftOfCursor = 0;
-          let indentableSpacesFromCursor = 0 ;
-          const s = Model.lines[cursor.row];
-          let j = cursor.col;
-          while (j < s.length && s.charAt(j) === ' ') j++;
-          indentableSpacesFromCursor = j - cursor.col ;
-          j = 0; while (j < cursor.col && s.charAt(j) === ' ') j++;
-          indentableSpacesLeftOfCursor = j;
-          const unindentationsFirstLine = Math.min(Mode.spaces,
-            indentableSpacesLeftOfCursor + indentableSpacesFromCursor);
-          Model.lines[cursor.row] = Model.lines[cursor.row].slice(unindentationsFirstLine);
-          if(indentableSpacesFromCursor < unindentationsFirstLine)
-            cursor.col -= unindentationsFirstLine - indentableSpacesFromCursor;
-        } else {
-          const line = Model.lines[i];
-          let maxUnindent = 0;
-          for(let k = 0; k < Math.min(Mode.spaces, line.length); k++) {
-            if (line.charAt(k) === " ") {
-              maxUnindent++;
-            } else {
-              break;
+      const [first, second] = blockMode ? rangeEdges({ tail, head }) : this.ordered;
+
+      oneUndoStep(() => {
+        for(let i = first.row; i <= second.row; i++) {
+          const before = Model.lines[i];
+          if( i  === first.row || i === second.row) {
+            const cursor = i === first.row ? first : second;
+            // Cursor movement of first and second depends on spaces left and right of it .
+            let indentableSpacesLeftOfCursor = 0;
+            let indentableSpacesFromCursor = 0 ;
+            const s = Model.lines[cursor.row];
+            let j = cursor.col;
+            while (j < s.length && s.charAt(j) === ' ') j++;
+            indentableSpacesFromCursor = j - cursor.col ;
+            j = 0; while (j < cursor.col && s.charAt(j) === ' ') j++;
+            indentableSpacesLeftOfCursor = j;
+            const unindentationsFirstLine = Math.min(Mode.spaces,
+              indentableSpacesLeftOfCursor + indentableSpacesFromCursor);
+            Model.lines[cursor.row] = Model.lines[cursor.row].slice(unindentationsFirstLine);
+            if(indentableSpacesFromCursor < unindentationsFirstLine)
+              cursor.col -= unindentationsFirstLine - indentableSpacesFromCursor;
+          } else {
+            const line = Model.lines[i];
+            let maxUnindent = 0;
+            for(let k = 0; k < Math.min(Mode.spaces, line.length); k++) {
+              if (line.charAt(k) === " ") {
+                maxUnindent++;
+              } else {
+                break;
+              }
             }
+            Model.lines[i] = line.slice(maxUnindent);
           }
-          Model.lines[i] = line.slice(maxUnindent);
+          emitChange(i, 0, before.slice(0, before.length - Model.lines[i].length), '');
         }
-      }
+      });
 
       render();
     },
@@ -495,16 +773,321 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
     /** Called during render after text content is set (for overlaying elements) */
     onRenderContent: [],
     /** Called at the end of render (for highlights and final touches) */
-    onRenderComplete: []
+    onRenderComplete: [],
+    /** Called with the frame before config callbacks run (for adding frame fields) */
+    onFrame: []
   };
 
+  // ============================================================================
+  // Events - lets code outside the editor react to it without wrapping internals
+  // ============================================================================
+
+  /** @private Listeners by event type (see this.on) */
+  const listeners = { change: [], reset: [], selectionChange: [], viewportChange: [], modeChange: [] };
+  /** @private Source of the edits being made: 'input', 'undo', 'redo', 'api' or an extension's own */
+  let origin = 'api';
+  /** @private Last selection, viewport and mode reported, as strings to diff against */
+  const emitted = { selectionChange: '', viewportChange: '', modeChange: '' };
+
+  /** @private Calls every listener of a type with the event */
+  function emit(type, event) {
+    for (const listener of listeners[type].slice()) listener(event);
+  }
+
+  /**
+   * Runs fn with edits reported under an origin. Nested calls restore the outer origin.
+   * @private
+   * @param {string} next - Origin for change events raised by fn
+   * @param {Function} fn
+   * @returns {*} Whatever fn returns
+   */
+  function withOrigin(next, fn) {
+    const outer = origin;
+    origin = next;
+    try {
+      return fn();
+    } finally {
+      origin = outer;
+    }
+  }
+
+  /**
+   * Emits a change event for an edit, unless nothing was removed or inserted.
+   * @private
+   */
+  function emitChange(row, col, removedText, insertedText) {
+    if (listeners.change.length && (removedText || insertedText)) {
+      emit('change', { row, col, removedText, insertedText, origin });
+    }
+  }
+
+  /**
+   * Emits the change of whole lines replaced at index i (already applied), as text:
+   * each line with the newline after it, or before it when the lines reach the end.
+   * @private
+   * @param {number} i - Index of the first line replaced
+   * @param {string[]} removed - Lines taken out
+   * @param {string[]} added - Lines put in
+   */
+  function emitLineChange(i, removed, added) {
+    if (!listeners.change.length) return;
+    if (i + added.length < Model.lines.length) {
+      emitChange(i, 0, removed.map(line => line + '\n').join(''), added.map(line => line + '\n').join(''));
+    } else if (i > 0) {
+      emitChange(i - 1, Model.lines[i - 1].length, removed.map(line => '\n' + line).join(''), added.map(line => '\n' + line).join(''));
+    } else {
+      emitChange(0, 0, removed.join('\n'), added.join('\n'));
+    }
+  }
+
+  /**
+   * Emits an event if its state differs from the one last reported. Called at the end of render.
+   * @private
+   * @param {string} type - Event type
+   * @param {string} key - State as a string
+   * @param {Function} event - Builds the event object, only when there is a change to report
+   */
+  function emitIfChanged(type, key, event) {
+    if (emitted[type] === key) return;
+    emitted[type] = key;
+    if (listeners[type].length) emit(type, event());
+  }
+
+  /**
+   * Corners of the block selection: [top-left, bottom-right].
+   * Past the end of a short line, the head keeps the column it was aimed at (maxCol).
+   * @private
+   * @returns {[Position, Position]} New position objects
+   */
+  function blockCorners() {
+    const col = head.col < Model.lines[head.row].length ? head.col : Math.max(head.col, maxCol);
+    return [
+      { row: Math.min(tail.row, head.row), col: Math.min(tail.col, col) },
+      { row: Math.max(tail.row, head.row), col: Math.max(tail.col, col) }
+    ];
+  }
+
+  /** @private Edges of a { tail, head } range in document order */
+  function rangeEdges(range) {
+    return isBefore(range.head, range.tail) ? [range.head, range.tail] : [range.tail, range.head];
+  }
+
+  /** @private First position of a range in document order */
+  function rangeStart(range) {
+    return rangeEdges(range)[0];
+  }
+
+  /** @private Text covered by a range, lines joined with newlines */
+  function rangeText(range) {
+    const [first, second] = rangeEdges(range);
+    if (first.row === second.row) return Model.lines[first.row].slice(first.col, second.col);
+    return [
+      Model.lines[first.row].slice(first.col),
+      ...Model.lines.slice(first.row + 1, second.row),
+      Model.lines[second.row].slice(0, second.col)
+    ].join('\n');
+  }
+
+  /**
+   * Drops secondary ranges whose cursor coincides with the primary's or an earlier range's.
+   * @private
+   */
+  function mergeRanges() {
+    const seen = new Set([head.row + ',' + head.col]);
+    for (let i = 0; i < ranges.length; i++) {
+      const key = ranges[i].head.row + ',' + ranges[i].head.col;
+      seen.has(key) ? ranges.splice(i--, 1) : seen.add(key);
+    }
+  }
+
+  /**
+   * Moves a position through a primitive edit, in place.
+   * Positions after the edit move with it; positions inside deleted text collapse to its start.
+   * Inserting right at a position pushes it along, unless it ends a range (isStart false),
+   * so typing at the end of a range doesn't extend it.
+   * @param {Position} p - Position, updated in place
+   * @param {number} row - Row of the edit
+   * @param {number} col - Column of the edit
+   * @param {string} text - Inserted or deleted text
+   * @param {number} sign - 1 for insert, -1 for delete
+   * @param {boolean} [isStart=true] - Whether p starts its range
+   */
+  function shiftPosition(p, row, col, text, sign, isStart = true) {
+    const lines = text.split('\n');
+    const endRow = row + lines.length - 1;
+    const endCol = lines.length > 1 ? lines[lines.length - 1].length : col + text.length;
+    if (sign > 0) {
+      if (p.row === row && (isStart ? p.col >= col : p.col > col)) {
+        p.col += endCol - col;
+        p.row = endRow;
+      } else if (p.row > row) {
+        p.row += endRow - row;
+      }
+    } else if (p.row > endRow) {
+      p.row -= endRow - row;
+    } else if (p.row === endRow && p.col >= endCol) {
+      p.col -= endCol - col;
+      p.row = row;
+    } else if (p.row > row || p.row === row && p.col > col) {
+      p.row = row;
+      p.col = col;
+    }
+  }
+
+  /**
+   * Moves a one-row span through a change event, in place, the way shiftPosition
+   * moves its ends. A span split across rows is cut at the end of its first row.
+   * An empty span is pushed along by text inserted at it; a non-empty one doesn't
+   * grow when text is inserted at its end.
+   * @param {{row: number, col: number, endCol: number}} span - Span, updated in place
+   * @param {{row: number, col: number, removedText: string, insertedText: string}} change - Change event
+   * @returns {boolean} False if the change deleted all of a non-empty span's text
+   */
+  function shiftSpan(span, { row, col, removedText, insertedText }) {
+    const empty = span.col === span.endCol;
+    const start = { row: span.row, col: span.col };
+    const end = { row: span.row, col: span.endCol };
+    for (const [text, sign] of [[removedText, -1], [insertedText, 1]]) {
+      if (!text.length) continue;
+      shiftPosition(start, row, col, text, sign, true);
+      shiftPosition(end, row, col, text, sign, empty);
+      if (!empty && start.row === end.row && start.col >= end.col) return false;
+    }
+    span.row = start.row;
+    span.col = start.col;
+    span.endCol = end.row === start.row ? end.col : Model.lines[start.row].length;
+    return true;
+  }
+
+  /**
+   * Keeps secondary ranges on their text across a primitive edit.
+   * @private
+   * @param {number} row - Row of the edit
+   * @param {number} col - Column of the edit
+   * @param {string} text - Inserted or deleted text
+   * @param {number} sign - 1 for insert, -1 for delete
+   */
+  function shiftRanges(row, col, text, sign) {
+    for (const range of ranges) {
+      shiftPosition(range.tail, row, col, text, sign);
+      shiftPosition(range.head, row, col, text, sign);
+    }
+  }
+
+  /**
+   * Runs an operation once per range (primary and secondary). Each range is loaded
+   * into head/tail in turn, bottom-up so that edits don't move ranges still to come;
+   * ranges already done shift through shiftRanges. Renders once at the end.
+   * @private
+   * @param {function(): void} op - Operation on the loaded head/tail
+   * @param {boolean} [skipRender=false] - Skip rendering (the caller renders)
+   */
+  function eachRange(op, skipRender = false) {
+    const primary = { tail: { ...tail }, head: { ...head }, maxCol };
+    const order = [...ranges, primary].sort((a, b) => isBefore(rangeStart(a), rangeStart(b)) ? 1 : -1);
+    const start = Viewport.start;
+    ranges.push(primary);
+    spreading = true;
+    try {
+      for (const range of order) {
+        ranges.splice(ranges.indexOf(range), 1);
+        Selection.setSelection(range.tail, range.head);
+        maxCol = range.maxCol;
+        op();
+        range.tail = { ...tail };
+        range.head = { ...head };
+        range.maxCol = maxCol;
+        ranges.push(range);
+      }
+    } finally {
+      spreading = false;
+    }
+    ranges.splice(ranges.indexOf(primary), 1);
+    Selection.setSelection(primary.tail, primary.head);
+    maxCol = primary.maxCol;
+    mergeRanges();
+
+    // Keep the primary cursor in view
+    Viewport.start = start;
+    if (head.row < Viewport.start) {
+      Viewport.start = head.row;
+    } else if (head.row > Viewport.end) {
+      Viewport.start = head.row - Viewport.size + 1;
+    }
+    if (!skipRender) render();
+  }
+
+  /**
+   * Runs an edit once per row of the block selection, each row holding the rectangle's
+   * columns clamped to its line. While the row count holds, the block becomes the
+   * zero-width column where the edit left off, so typing goes on in every row;
+   * an edit that splits or joins lines leaves one cursor per row instead.
+   * @private
+   * @param {function(): void} op - Operation on the loaded head/tail
+   */
+  function blockEdit(op) {
+    const [first, second] = blockCorners();
+    const anchorRow = tail.row, focusRow = head.row, lineCount = Model.lines.length;
+    const clamp = (row, col) => ({ row, col: Math.min(col, Model.lines[row].length) });
+    ranges.length = 0;
+    for (let row = first.row; row <= second.row; row++) {
+      if (row !== focusRow) ranges.push({ tail: clamp(row, first.col), head: clamp(row, second.col), maxCol: second.col });
+    }
+    Selection.setSelection(clamp(focusRow, first.col), clamp(focusRow, second.col));
+    eachRange(op, true);
+    if (Model.lines.length === lineCount) {
+      const col = Math.max(head.col, ...ranges.map(range => range.head.col));
+      ranges.length = 0;
+      Selection.setSelection({ row: anchorRow, col }, { row: focusRow, col });
+    } else {
+      blockMode = false;
+    }
+    render();
+  }
+
+  /**
+   * Runs fn as one undo step in BuffeeHistory and BuffeeUndoTree, where applied.
+   * @private
+   * @param {function(): void} fn - Edits to group
+   */
+  function oneUndoStep(fn) {
+    [self.History, self.UndoTree].reduce((run, ext) => ext ? () => ext.transact(run) : run, fn)();
+  }
+
+  /**
+   * Routes an edit to every range: through blockEdit() for a block selection,
+   * or eachRange() with multiple cursors. The edits of all ranges undo as one step.
+   * @private
+   * @param {function(): void} op - Operation on the loaded head/tail
+   * @returns {boolean} False when the edit should run on head/tail alone
+   */
+  function spread(op) {
+    if (spreading) return false;
+    if (blockMode && head !== tail) {
+      oneUndoStep(() => blockEdit(op));
+    } else if (ranges.length) {
+      oneUndoStep(() => eachRange(op));
+    } else {
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Document model managing text content.
    * @namespace Model
    */
+  let documentLines = [''];
   const Model = this.Model = {
-    /** @type {string[]} Array of text lines */
-    lines: [''],
+    /**
+     * Array of text lines. Assigning a new array replaces the document and emits 'reset'.
+     * @type {string[]}
+     */
+    get lines() { return documentLines; },
+    set lines(lines) {
+      documentLines = lines;
+      if (listeners.reset.length) emit('reset', { origin });
+    },
 
     /** @type {string} Total byte count of the document */
     byteCount: "",
@@ -525,6 +1108,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
     set text(text) {
       text = expandTabs(text);
       this.lines = text.split("\n");
+      ranges.length = 0;
       this.byteCount = new TextEncoder().encode(text).length
       this.originalLineCount = this.lines.length;
       render();
@@ -537,7 +1121,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
      * @param {number} [n=0] - Number of lines to remove
      */
     splice(i, lines, n = 0) {
-      this.lines.splice(i , n, ...lines);
+      emitLineChange(i, this.lines.splice(i , n, ...lines), lines);
       render();
     },
 
@@ -546,7 +1130,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
      * @param {number} i - Index of line to delete
      */
     delete(i) {
-      this.lines.splice(i, 1);
+      emitLineChange(i, this.lines.splice(i, 1), []);
     },
   }
 
@@ -558,10 +1142,12 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
    */
   function _insert(row, col, text) {
     if (text.length === 0) return null;
+    shiftRanges(row, col, text, 1);
 
     // Fast path: single character (no newline)
     if (text.length === 1 && text !== '\n') {
       Model.lines[row] = Model.lines[row].slice(0, col) + text + Model.lines[row].slice(col);
+      emitChange(row, col, '', text);
       return null; // Caller knows it's single char
     }
 
@@ -587,6 +1173,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       Model.lines.splice(row + 1, 0, ...middleLines, lastLine);
     }
 
+    emitChange(row, col, '', text);
     return lines; // Return split result for caller reuse
   }
 
@@ -598,6 +1185,7 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
    */
   function _delete(row, col, text) {
     if (text.length === 0) return;
+    shiftRanges(row, col, text, -1);
 
     const lines = text.split('\n');
 
@@ -615,6 +1203,8 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       Model.lines[row] = before + after;
       Model.lines.splice(row + 1, lines.length - 1);
     }
+
+    emitChange(row, col, text, '');
   }
 
   /**
@@ -671,11 +1261,142 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       return Model.lines.slice(this.start, this.end + 1);
     },
   };
-  
+
+  /**
+   * Clamps a viewport start row so the viewport doesn't run past the last line.
+   * @param {number} start - Proposed first visible row
+   * @returns {number} Row between 0 and the last start that still fills the viewport
+   */
+  function clampViewportStart(start) {
+    return $clamp(start, 0, Math.max(0, Model.lastIndex - Viewport.size + 1));
+  }
+
+  const gutterRenderers = [];
+  const gutterClickHandlers = [];
+  let relativeNumbers = false;
+
+  /**
+   * Line numbers and markers left of the text. Each renderer gets a 1ch
+   * lane in front of the numbers and is asked for a marker per visible row.
+   */
+  const Gutter = this.Gutter = {
+    /**
+     * Relative line numbers (Vim's relativenumber): the cursor row shows its
+     * own number, other rows their distance from it.
+     * @type {boolean}
+     */
+    get relative() { return relativeNumbers; },
+    set relative(v) {
+      relativeNumbers = !!v;
+      render();
+    },
+
+    /**
+     * Adds a marker lane. The renderer is called with each visible absolute
+     * row and returns a marker or null. Marker text is set as text, never HTML.
+     * @param {function(number): ({text?: string, className?: string, color?: string, title?: string}|null)} renderer
+     * @returns {function(): void} Removes the lane
+     */
+    addRenderer(renderer) {
+      gutterRenderers.push(renderer);
+      render();
+      return () => {
+        const i = gutterRenderers.indexOf(renderer);
+        if (i === -1) return;
+        gutterRenderers.splice(i, 1);
+        render();
+      };
+    },
+
+    /**
+     * Adds a click handler, called with the absolute row of the clicked line.
+     * @param {function(number, MouseEvent): void} handler
+     * @returns {function(): void} Removes the handler
+     */
+    onClick(handler) {
+      gutterClickHandlers.push(handler);
+      return () => {
+        const i = gutterClickHandlers.indexOf(handler);
+        if (i !== -1) gutterClickHandlers.splice(i, 1);
+      };
+    }
+  };
+
+  /**
+   * Fills one gutter cell: its line number, then a marker per renderer lane.
+   * @private
+   * @param {HTMLElement} $cell - Gutter cell of the row
+   * @param {number} row - Absolute row
+   */
+  function renderGutterCell($cell, row) {
+    $cell.textContent = relativeNumbers && row !== head.row ? Math.abs(row - head.row) : row + 1;
+    gutterRenderers.forEach((renderer, lane) => {
+      const marker = renderer(row);
+      if (!marker) return;
+      const $marker = document.createElement('span');
+      $marker.className = marker.className ? 'buffee-gutter-marker ' + marker.className : 'buffee-gutter-marker';
+      $marker.textContent = marker.text ?? '';
+      $marker.style.left = lane + 'ch';
+      if (marker.color) $marker.style.color = marker.color;
+      if (marker.title) $marker.title = marker.title;
+      $cell.appendChild($marker);
+    });
+  }
+
   /** @private Double-buffer for render state diffing */
   let frame = { lineCount: 0, row: 0, col: 0, frameCount: 0 };
   let lastFrame = { lineCount: -1, row: -1, col: -1, frameCount: -1 };
 
+  const $rangeSelections = []; // Pooled selection spans for secondary ranges
+  const $rangeCursors = [];    // Pooled cursors for secondary ranges
+  const pooled = (pool, i, className) =>
+    pool[i] || (pool[i] = $l.appendChild(Object.assign(document.createElement('div'), { className })));
+
+  /**
+   * Calls fn for each row of a selection range that falls in the viewport.
+   * Rows before the last include the phantom newline (+1).
+   * @private
+   * @param {Position} first - Start of the range (absolute row)
+   * @param {Position} second - End of the range (absolute row)
+   * @param {function(number, number, number): void} fn - Called with (viewportRow, left, width) in columns
+   */
+  function selectionSpans(first, second, fn) {
+    const from = Math.max(first.row, Viewport.start);
+    const to = Math.min(second.row, Viewport.start + Viewport.size - 1);
+    for (let absRow = from; absRow <= to; absRow++) {
+      const left = absRow === first.row ? first.col : 0;
+      const right = absRow === second.row
+        ? Math.min(second.col, Model.lines[absRow].length)
+        : Model.lines[absRow].length + 1;
+      fn(absRow - Viewport.start, left, right - left);
+    }
+  }
+
+  /**
+   * Replaces a line element's content with highlighted tokens. Builds text
+   * nodes and spans rather than an HTML string, so token text is never
+   * parsed as markup. Tokens without className or color become plain text.
+   * @private
+   * @param {HTMLElement} $line - Line element, e.g. a child of $textLayer
+   * @param {Array<{text: string, className?: string, color?: string}>} tokens - Tokens in line order
+   */
+  function renderTokens($line, tokens) {
+    const fragment = document.createDocumentFragment();
+    for (const { text, className, color } of tokens) {
+      if (!className && !color) {
+        fragment.appendChild(document.createTextNode(text));
+        continue;
+      }
+      const $span = document.createElement('span');
+      if (className) $span.className = className;
+      if (color) $span.style.color = color;
+      $span.textContent = text;
+      fragment.appendChild($span);
+    }
+    $line.textContent = '';
+    $line.appendChild(fragment);
+  }
+
   function sizeSelection(i, left, width) {
     const style = $selections[i].style;
     left != null && (style.left = left + 'ch');
@@ -688,11 +1409,13 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
    * @returns {Buffee} The Buffee instance for chaining
    */
   function render() {
+    if (spreading) return this; // eachRange() renders once when every range is done
     frame.lineCount = Model.lastIndex + 1;
     frame.row = head.row;
     frame.col = head.col;
     frame.spaces = Mode.spaces;
     frame.frameCount = lastFrame.frameCount + 1;
+    for (const hook of renderHooks.onFrame) hook(frame);
     // TODO: consider caching Object.entries once.
     for (const [key, callback] of frameCallbacks) {
       if (frame[key] !== lastFrame[key]) {
@@ -708,8 +1431,9 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
     if ($gutter) {
       // TODO: move into viewport
       const digits = Math.max(gutterDigitsMinimum, (Viewport.start + Viewport.displayLines).toString().length);
-      if (digits !== gutterDigits) {
+      if (digits !== gutterDigits || gutterRenderers.length !== gutterLanes) {
         gutterDigits = digits;
+        gutterLanes = gutterRenderers.length;
         $gutter.style.width = gutterCols() + 'ch';
         // TODO: refactor into function
         if (cols) $e.style.width = `calc(${gutterCols() + cols}ch + ${editorPaddingPX * 4}px)`;
@@ -751,10 +1475,12 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
 
     // Update contents of line containers
     for(let i = 0; i < Viewport.displayLines; i++) {
-      $gutter && ($gutter.children[i].textContent = Viewport.start + i + 1);
+      $gutter && renderGutterCell($gutter.children[i], Viewport.start + i);
       $textLayer.children[i].textContent = Model.lines[Viewport.start + i] ?? null;
       $selections[i].style.width = '0ch';
     }
+    for (const $span of $rangeSelections) $span.style.width = '0ch';
+    for (const $rangeCursor of $rangeCursors) $rangeCursor.style.visibility = 'hidden';
 
     // Call extension hooks for content overlay
     for (const hook of renderHooks.onRenderContent) {
@@ -766,37 +1492,35 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       $cursor.style.visibility = 'hidden';
     } else {
       const [firstEdge, secondEdge] = Selection.ordered;
-
-      // Convert absolute rows to viewport-relative
-      const firstViewportRow = firstEdge.row - Viewport.start;
-      const secondViewportRow = secondEdge.row - Viewport.start;
-
-      // Render middle selection lines (only those within viewport)
-      for (let absRow = firstEdge.row + 1; absRow <= secondEdge.row - 1; absRow++) {
-        const viewportRow = absRow - Viewport.start;
-        if (viewportRow >= 0 && viewportRow < Viewport.size) {
-          // +1 for phantom newline character (shows newline is part of selection)
-          sizeSelection(viewportRow, 0, Model.lines[absRow].length + 1);
+      if (blockMode) {
+        // Block selection: the same columns on every row, past short lines' ends too
+        const from = Math.max(firstEdge.row, Viewport.start);
+        const to = Math.min(secondEdge.row, Viewport.start + Viewport.size - 1);
+        for (let absRow = from; absRow <= to; absRow++) {
+          sizeSelection(absRow - Viewport.start, firstEdge.col, secondEdge.col - firstEdge.col);
         }
+      } else {
+        selectionSpans(firstEdge, secondEdge, sizeSelection);
       }
 
-      // Render the first edge line (if within viewport)
-      if (firstViewportRow >= 0 && firstViewportRow < Viewport.size) {
-        // Single-line: width = secondEdge.col - firstEdge.col
-        // Multi-line: width = text.length - firstEdge.col + 1 (includes phantom newline)
-        const width = secondEdge.row === firstEdge.row
-          ? secondEdge.col - firstEdge.col
-          : Model.lines[firstEdge.row].length - firstEdge.col + 1;
-        sizeSelection(firstViewportRow, firstEdge.col, width);
-      }
-
-      // Render the second edge line (if within viewport and multi-line selection)
-      // Excludes cursor head position
-      if (secondEdge.row !== firstEdge.row && secondViewportRow >= 0 && secondViewportRow < Viewport.size) {
-        // Last line of selection starts from column 0
-        const width = Math.min(secondEdge.col, Model.lines[secondEdge.row].length);
-        sizeSelection(secondViewportRow, 0, width);
-      }
+      // Secondary ranges draw into pooled spans and cursors, so a row can hold several
+      let spanCount = 0;
+      ranges.forEach((range, i) => {
+        const [first, second] = rangeEdges(range);
+        selectionSpans(first, second, (viewportRow, left, width) => {
+          const style = pooled($rangeSelections, spanCount++, 'buffee-selection').style;
+          style.top = viewportRow * lineHeight + 'px';
+          style.left = left + 'ch';
+          style.width = width + 'ch';
+        });
+        const viewportRow = range.head.row - Viewport.start;
+        if (viewportRow >= 0 && viewportRow < Viewport.size) {
+          const style = pooled($rangeCursors, i, 'buffee-cursor buffee-cursor-secondary').style;
+          style.top = viewportRow * lineHeight + 'px';
+          style.left = range.head.col + 'ch';
+          style.visibility = 'visible';
+        }
+      });
       // * END render selection
 
       // Render cursor overlay (always shows head position)
@@ -806,22 +1530,25 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
         $cursor.style.left = head.col + 'ch';
         $cursor.style.visibility = 'visible';
 
-        // Horizontal scroll to keep cursor in view
-        const containerRect = $l.getBoundingClientRect();
-        const cursorRect = $cursor.getBoundingClientRect();
-        const charWidth = cursorRect.width || 14;
-
-        if (cursorRect.left < containerRect.left) {
-          const deficit = containerRect.left - cursorRect.left;
-          const charsToScroll = Math.ceil(deficit / charWidth);
-          $l.scrollLeft -= charsToScroll * charWidth;
-        } else if (cursorRect.right > containerRect.right) {
-          const deficit = cursorRect.right - containerRect.right;
-          const charsToScroll = Math.ceil(deficit / charWidth);
-          $l.scrollLeft += charsToScroll * charWidth;
+        // Horizontal scroll to keep cursor in view. Only when the cursor moved, so that
+        // wheel scrolling isn't undone by unrelated renders (frames are swapped above).
+        if (lastFrame.row !== frame.row || lastFrame.col !== frame.col) {
+          const containerRect = $l.getBoundingClientRect();
+          const cursorRect = $cursor.getBoundingClientRect();
+          const charWidth = cursorRect.width || 14;
+
+          if (cursorRect.left < containerRect.left) {
+            const deficit = containerRect.left - cursorRect.left;
+            const charsToScroll = Math.ceil(deficit / charWidth);
+            $l.scrollLeft -= charsToScroll * charWidth;
+          } else if (cursorRect.right > containerRect.right) {
+            const deficit = cursorRect.right - containerRect.right;
+            const charsToScroll = Math.ceil(deficit / charWidth);
+            $l.scrollLeft += charsToScroll * charWidth;
+          }
+          // Snap to character boundary to prevent accumulated drift
+          $l.scrollLeft = Math.round($l.scrollLeft / charWidth) * charWidth;
         }
-        // Snap to character boundary to prevent accumulated drift
-        $l.scrollLeft = Math.round($l.scrollLeft / charWidth) * charWidth;
       } else {
         // TODO: why do we ever do this
         $cursor.style.visibility = 'hidden';
@@ -833,6 +1560,14 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       hook($l, Viewport);
     }
 
+    const selection = [tail, head, ...ranges.flatMap(r => [r.tail, r.head])];
+    emitIfChanged('selectionChange', selection.map(p => p.row + ':' + p.col).join(), () =>
+      ({ tail: { ...tail }, head: { ...head }, ranges: Selection.ranges }));
+    emitIfChanged('viewportChange', Viewport.start + ':' + Viewport.size, () =>
+      ({ start: Viewport.start, end: Viewport.end, size: Viewport.size }));
+    emitIfChanged('modeChange', Mode.interactive + ':' + Mode.spaces, () =>
+      ({ interactive: Mode.interactive, spaces: Mode.spaces }));
+
     return this;
   }
 
@@ -854,6 +1589,34 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
    */
   this.Mode = Mode;
 
+  /**
+   * Subscribes to an editor event. Edits raise `change` as they happen, once per
+   * primitive insert or delete; the other events are raised at the end of the
+   * render that shows the new state.
+   * - change: { row, col, removedText, insertedText, origin } - origin is 'input' for
+   *   keyboard and clipboard edits, 'undo'/'redo' from History or UndoTree,
+   *   'load' for lines added with editor._.appendLines, and 'api' for calls like
+   *   Selection.insert() made by code
+   * - reset: { origin } - the whole document was replaced (Model.text, or a new Model.lines array)
+   * - selectionChange: { tail, head, ranges }
+   * - viewportChange: { start, end, size }
+   * - modeChange: { interactive, spaces }
+   * @param {'change'|'reset'|'selectionChange'|'viewportChange'|'modeChange'} type - Event type
+   * @param {Function} listener - Called with the event object
+   * @returns {Function} Call to unsubscribe
+   * @throws {Error} If the event type is unknown
+   * @example
+   * const off = editor.on('change', ({ row, col, removedText, insertedText, origin }) => save());
+   */
+  this.on = function(type, listener) {
+    if (!listeners[type]) throw new Error(`Unknown event: ${type}`);
+    listeners[type].push(listener);
+    return () => {
+      const i = listeners[type].indexOf(listener);
+      if (i !== -1) listeners[type].splice(i, 1);
+    };
+  };
+
   /**
    * Internal API for extensions (decorator pattern).
    * @private
@@ -861,6 +1624,9 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
   this._ = {
     get head() { return head; },
     get tail() { return tail; },
+    /** Column Up/Down aim for; restore it with the cursor to keep vertical moves on course */
+    get maxCol() { return maxCol; },
+    set maxCol(col) { maxCol = col; },
     get contentOffset() {
       return {
         ch: $gutter ? gutterCols() : 0,
@@ -873,10 +1639,20 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
     $textLayer,
     render,
     renderHooks,
+    renderTokens,
+    clampViewportStart,
+    mergeRanges,
+    shiftPosition,
+    shiftSpan,
+    positionAt,
+    columnAt,
     insert: _insert,
     delete: _delete,
+    withOrigin,
     appendLines(newLines, skipRender = false) {
-      Model.lines.push(...newLines.map(expandTabs));
+      const added = newLines.map(expandTabs);
+      Model.lines.push(...added);
+      withOrigin('load', () => emitLineChange(Model.lines.length - added.length, [], added));
       if (!skipRender) render();
     }
   };
@@ -900,16 +1676,35 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
   }
 
   // Reading clipboard from the keydown listener involves a different security model.
-  $l.addEventListener('paste', e => {
+  $l.addEventListener('paste', e => withOrigin('input', () => {
     e.preventDefault(); // stop browser from inserting raw clipboard text
     const text = e.clipboardData.getData("text/plain");
-    if (text) {
+    const lines = text.split("\n");
+    if (blockMode && Selection.isSelection && lines.length > 1) {
+      // Block paste: clear the rectangle, then one line per row from its top-left corner
+      const [first, second] = Selection.ordered;
+      if (first.col < second.col) Selection.insert('', true);
+      lines.forEach((line, i) => {
+        const row = first.row + i;
+        if (row > Model.lastIndex) self._.insert(row - 1, Model.lines[row - 1].length, '\n');
+        self._.insert(row, Math.min(first.col, Model.lines[row].length), line);
+      });
+      Selection.setCursor({ row: first.row, col: Math.min(first.col, Model.lines[first.row].length) });
+      maxCol = head.col;
+      render();
+    } else if (ranges.length && lines.length === ranges.length + 1) {
+      // One line per range, in document order (eachRange goes bottom-up)
+      let i = lines.length;
+      eachRange(() => Selection.insert(lines[--i], true));
+    } else if (text) {
       Selection.insert(text);
     }
-  });
+  }));
   const copy = e => {
     e.preventDefault(); // take over the clipboard contents                   
-    e.clipboardData.setData('text/plain', Selection.lines.join("\n"));
+    e.clipboardData.setData('text/plain', ranges.length
+      ? Selection.ranges.map(rangeText).join("\n")
+      : Selection.lines.join("\n"));
   }
   // Triggered by a keydown paste event. a copy event handler can read the clipboard
   // by the standard security model. Meanwhile, we don't have to make the editor "selectable".
@@ -917,46 +1712,24 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
   $clipboardBridge.addEventListener('copy', copy);
   $clipboardBridge.addEventListener('cut', e => {
     copy(e);
-    Selection.delete();
+    withOrigin('input', () => Selection.delete());
     $l.focus({ preventScroll: true });     // Return focus to editor
   });
 
   // Arrow key encoding: ±1 = horizontal, ±2 = vertical, sign = direction
   const arrowMap = { ArrowDown: 2, ArrowUp: -2, ArrowLeft: -1, ArrowRight: 1 };
-  $l.addEventListener('keydown', event => {
-    // Do nothing for Meta+V (on Mac) or Ctrl+V (on Windows/Linux) as to avoid conflict with the paste event.
-    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === "v") {
-      // just return, no preventDefault, no custom handling
-      return;
-    }
-
-    // On Ctrl/⌘+C or Ctrl/⌘+X, *don't* preventDefault. Just redirect selection briefly.
-    if ((event.metaKey || event.ctrlKey) && (event.key.toLowerCase() === 'c' || event.key.toLowerCase() === 'x')) {
-      $clipboardBridge.focus({ preventScroll: true }); // Prevent browser from scrolling to textarea
-      $clipboardBridge.select();
-      return;
-    }
-
-    // Undo: Ctrl/⌘+Z (requires BuffeeHistory extension)
-    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'z' && !event.shiftKey) {
-      event.preventDefault();
-      if (self.History) self.History.undo();
-      return;
-    }
-
-    // Redo: Ctrl/⌘+Shift+Z (requires BuffeeHistory extension)
-    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'z' && event.shiftKey) {
-      event.preventDefault();
-      if (self.History) self.History.redo();
-      return;
-    }
-
+  // Jump key encoding: ±1 = line edge, ±2 = page, sign = direction
+  const jumpMap = { PageDown: 2, PageUp: -2, Home: -1, End: 1 };
+  /**
+   * Applies an arrow or jump key to head/tail. With multiple cursors it runs once per range.
+   * @private
+   * @param {KeyboardEvent} event - Keydown whose key is in arrowMap or jumpMap
+   */
+  function navigate(event) {
     const arrowCode = arrowMap[event.key] || 0;
     if (arrowCode) {
       // arrowCode: ±1 horizontal, ±2 vertical. direction: -1 (up/left), 1 (down/right)
       const direction = arrowCode >> 31 | 1;
-      event.preventDefault(); // prevents page scroll
-      if (Mode.interactive === -1) return; // read-only mode: no navigation
 
       if(event.metaKey) {
         if(!event.shiftKey && Selection.isSelection) Selection.makeCursor();
@@ -964,6 +1737,8 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
 
         if (arrowCode % 2) {
           Selection[direction > 0 ? 'moveCursorEndOfLine' : 'moveCursorStartOfLine']();
+        } else {
+          Selection[direction > 0 ? 'moveDocumentEnd' : 'moveDocumentStart']();
         }
       } else if (event.altKey) {
         if(!event.shiftKey && Selection.isSelection) Selection.makeCursor();
@@ -974,16 +1749,14 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
         }
       } else if (!event.shiftKey && Selection.isSelection) { // no meta key, no shift key, selection.
         if (arrowCode % 2) {
-          Selection.setCursor(Selection.ordered[direction > 0 | 0]);
+          const edge = Selection.ordered[direction > 0 | 0];
+          // A block corner can lie past the end of its line
+          Selection.setCursor({ row: edge.row, col: Math.min(edge.col, Model.lines[edge.row].length) });
           render();
         } else {
           const edge = Selection.ordered[direction > 0 | 0];
           // edge.row is already absolute
-          const targetAbsRow = $clamp(
-            edge.row + direction,
-            0,
-            Model.lastIndex
-          );
+          const targetAbsRow = $clamp(edge.row + direction, 0, Model.lastIndex);
 
           // Scroll viewport if target is outside visible area
           if (targetAbsRow < Viewport.start) {
@@ -1003,12 +1776,116 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
         if (event.shiftKey && !Selection.isSelection) Selection.makeSelection();
         Selection[arrowCode % 2 ? 'moveCol' : 'moveRow'](direction);
       }
+    } else {
+      // jumpCode: ±1 = line start/end (Home/End), ±2 = page (PageUp/PageDown)
+      const jumpCode = jumpMap[event.key];
+      const direction = jumpCode >> 31 | 1;
+
+      if(!event.shiftKey && Selection.isSelection) Selection.makeCursor();
+      if(event.shiftKey && !Selection.isSelection) Selection.makeSelection();
+
+      if (jumpCode % 2 === 0) {
+        Selection.movePage(direction);
+      } else if (event.metaKey || event.ctrlKey) {
+        Selection[direction > 0 ? 'moveDocumentEnd' : 'moveDocumentStart']();
+      } else {
+        Selection[direction > 0 ? 'moveCursorEndOfLine' : 'moveCursorStartOfLine']();
+      }
+    }
+  }
+
+  // Go-to-line prompt (Ctrl+G) takes "line" or "line:col", 1-indexed like the status bar.
+  // It opens in the status bar when there is one, otherwise over the top right of the editor.
+  const $status = $($parent, '.buffee-status');
+  let $goto = null;
+  function openGoToLine() {
+    if ($goto) return $goto.focus();
+    const $input = $goto = Object.assign(document.createElement('input'), {
+      className: 'buffee-goto',
+      placeholder: `Go to line (1-${Model.lastIndex + 1})`
+    });
+    const close = refocus => {
+      if ($goto !== $input) return;
+      $goto = null;
+      $input.remove();
+      refocus && $l.focus({ preventScroll: true });
+    };
+    $input.addEventListener('keydown', event => {
+      event.stopPropagation(); // typing in the prompt must not edit the document
+      if (event.key === 'Enter') {
+        const [line, col] = $input.value.split(':').map(Number);
+        if (line) Selection.goToLine(line, col || 1);
+        close(true);
+      } else if (event.key === 'Escape') {
+        close(true);
+      }
+    });
+    $input.addEventListener('blur', () => close(false));
+    ($status || $parent).appendChild($input);
+    $input.focus();
+  }
+
+  $l.addEventListener('keydown', event => withOrigin('input', () => {
+    // Do nothing for Meta+V (on Mac) or Ctrl+V (on Windows/Linux) as to avoid conflict with the paste event.
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === "v") {
+      // just return, no preventDefault, no custom handling
+      return;
+    }
+
+    // On Ctrl/⌘+C or Ctrl/⌘+X, *don't* preventDefault. Just redirect selection briefly.
+    if ((event.metaKey || event.ctrlKey) && (event.key.toLowerCase() === 'c' || event.key.toLowerCase() === 'x')) {
+      $clipboardBridge.focus({ preventScroll: true }); // Prevent browser from scrolling to textarea
+      $clipboardBridge.select();
+      return;
+    }
+
+    // Go to line: Ctrl+G
+    if (event.ctrlKey && event.key.toLowerCase() === 'g') {
+      event.preventDefault(); // keep the browser's find-next out of it
+      if (Mode.interactive !== -1) openGoToLine();
+      return;
+    }
+
+    // Add next occurrence of the selection as another cursor: Ctrl/⌘+D
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'd') {
+      event.preventDefault(); // keep the browser from bookmarking the page
+      if (Mode.interactive === 1) Selection.addNextOccurrence(); // scans the whole document
+      return;
+    }
+
+    // Undo: Ctrl/⌘+Z (requires BuffeeHistory extension)
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      if (self.History) self.History.undo();
+      return;
+    }
+
+    // Redo: Ctrl/⌘+Shift+Z (requires BuffeeHistory extension)
+    if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'z' && event.shiftKey) {
+      event.preventDefault();
+      if (self.History) self.History.redo();
+      return;
+    }
+
+    if (arrowMap[event.key] || jumpMap[event.key]) {
+      event.preventDefault(); // prevents page scroll
+      if (Mode.interactive === -1) return; // read-only mode: no navigation
+      ranges.length ? eachRange(() => navigate(event)) : navigate(event);
+    } else if (event.key === "Escape") {
+      Selection.clearRanges();
+      if (blockMode) Selection.blockMode = false;
     } else if (Mode.interactive !== 1) { // navigation-only or read-only mode: no editing
-    } else if (event.key === "Backspace") {
-      Selection.delete();
+    } else if (event.key === "Backspace" || event.key === "Delete") {
+      const forward = event.key === "Delete";
+      if (event.metaKey) {
+        Selection[forward ? 'deleteToLineEnd' : 'deleteToLineStart']();
+      } else if (event.altKey || event.ctrlKey) {
+        Selection.deleteWord(forward ? 1 : -1);
+      } else {
+        Selection[forward ? 'deleteForward' : 'delete']();
+      }
     } else if (event.key === "Enter") {
       Selection.newLine();
-    } else if (event.key === "Escape") {
     } else if (event.key === "Tab" ) {
       // Capture Tab for indentation (standard code editor behavior).
       // Users needing keyboard navigation can use browser shortcuts or focus the editor container.
@@ -1027,24 +1904,185 @@ function Buffee($parent, { rows, cols, spaces = 4, logger, callbacks } = {}) {
       event.key === " " && event.preventDefault();
       Selection.insert(event.key);
     }
+  }));
+
+  /**
+   * Converts pointer coordinates to an absolute position.
+   * Rows outside the viewport clamp to its first/last line, columns to the line length.
+   * @param {number} clientX - Pointer x in client pixels
+   * @param {number} clientY - Pointer y in client pixels
+   * @param {boolean} [onChar=false] - Round down to the character under the pointer instead of the nearest fencepost
+   * @returns {Position} Absolute position
+   */
+  function positionAt(clientX, clientY, onChar = false) {
+    const rect = $l.getBoundingClientRect();
+    const row = Math.max(Viewport.start, Math.min(Viewport.start + Math.floor((clientY - rect.top) / lineHeight), Viewport.end));
+    return { row, col: Math.min(columnAt(clientX, onChar), Model.lines[row].length) };
+  }
+
+  /**
+   * Converts a pointer x coordinate to a column, not clamped to any line length.
+   * @param {number} clientX - Pointer x in client pixels
+   * @param {boolean} [onChar=false] - Round down to the character under the pointer
+   * @returns {number} Column (>= 0)
+   */
+  function columnAt(clientX, onChar = false) {
+    const charWidth = $cursor.getBoundingClientRect().width || 14;
+    const x = (clientX - $l.getBoundingClientRect().left + $l.scrollLeft) / charWidth;
+    return Math.max(0, onChar ? Math.floor(x) : Math.round(x));
+  }
+
+  /**
+   * Finds the run around col using the word classes of moveWord/moveBackWord:
+   * whitespace, word characters, or a repeated punctuation character.
+   * @param {string} s - Line text
+   * @param {number} col - Column of the character under the pointer
+   * @returns {[number, number]} Start (inclusive) and end (exclusive) columns
+   */
+  function wordAt(s, col) {
+    col = Math.min(col, s.length - 1);
+    if (col < 0) return [0, 0];
+    const kind = ch => isSpace(ch) ? 0 : isWord(ch) ? 1 : ch;
+    const k = kind(s[col]);
+    let start = col, end = col + 1;
+    while (start > 0 && kind(s[start - 1]) === k) start--;
+    while (end < s.length && kind(s[end]) === k) end++;
+    return [start, end];
+  }
+
+  /**
+   * Selects a box between two corners: one range per row, columns clamped to each line.
+   * The row of focus holds the primary range.
+   * @param {Position} anchor - Fixed corner (column may exceed the line length)
+   * @param {Position} focus - Moving corner
+   */
+  function boxSelect(anchor, focus) {
+    const clamp = (row, col) => ({ row, col: Math.min(col, Model.lines[row].length) });
+    ranges.length = 0;
+    for (let row = anchor.row; row !== focus.row; row += focus.row < anchor.row ? -1 : 1) {
+      ranges.push({ tail: clamp(row, anchor.col), head: clamp(row, focus.col), maxCol: focus.col });
+    }
+    Selection.setSelection(clamp(focus.row, anchor.col), clamp(focus.row, focus.col));
+    maxCol = focus.col;
+  }
+
+  // Pointer: click places the cursor, shift+click extends, drag selects,
+  // double-click selects a word and triple-click selects the line.
+  // Cmd/Ctrl+click adds a cursor, Alt+Shift+drag selects a box of cursors
+  // and Alt+drag makes a block selection.
+  let dragPoint = null; // Last client coordinates while the primary button is held
+  let boxAnchor = null; // Fixed corner of an Alt+Shift box drag
+  const dragTo = ({ clientX, clientY }) => {
+    const { row, col } = positionAt(clientX, clientY);
+    if (boxAnchor) {
+      boxSelect(boxAnchor, { row, col: columnAt(clientX) });
+      return render();
+    }
+    if (!Selection.isSelection && (row !== tail.row || col !== tail.col)) Selection.makeSelection();
+    maxCol = head.col = col;
+    if (blockMode) maxCol = columnAt(clientX); // a block can reach past short lines
+    head.row = row;
+    render();
+  };
+  // Scrolls one line per frame while the drag is above or below the lines container
+  const autoScroll = () => {
+    if (!dragPoint) return;
+    const rect = $l.getBoundingClientRect();
+    const direction = dragPoint.clientY < rect.top ? -1 : dragPoint.clientY > rect.bottom ? 1 : 0;
+    if (direction) {
+      Viewport.start = clampViewportStart(Viewport.start + direction);
+      dragTo(dragPoint);
+    }
+    requestAnimationFrame(autoScroll);
+  };
+  const onDragMove = event => {
+    dragPoint = event;
+    dragTo(event);
+  };
+  const onDragEnd = () => {
+    dragPoint = boxAnchor = null;
+    window.removeEventListener('mousemove', onDragMove);
+    window.removeEventListener('mouseup', onDragEnd);
+  };
+  $gutter && $gutter.addEventListener('click', event => {
+    const i = Array.prototype.indexOf.call($gutter.children, event.target.closest('.buffee-gutter > *'));
+    const row = Viewport.start + i;
+    if (i === -1 || row > Model.lastIndex) return;
+    for (const handler of gutterClickHandlers) handler(row, event);
   });
+
+  $l.addEventListener('mousedown', event => {
+    if (event.button !== 0 || Mode.interactive === -1) return; // read-only mode: no navigation
+    event.preventDefault(); // keep the browser from starting a native text selection
+    $l.focus({ preventScroll: true });
+    if (!event.altKey) blockMode = false; // only Alt+click/drag starts or keeps a block
+
+    if ((event.metaKey || event.ctrlKey) && event.detail === 1) {
+      return Selection.addCursor(positionAt(event.clientX, event.clientY));
+    }
+    ranges.length = 0;
+
+    if (event.detail === 2) {
+      const { row, col } = positionAt(event.clientX, event.clientY, true);
+      const [start, end] = wordAt(Model.lines[row], col);
+      Selection.setSelection({ row, col: start }, { row, col: end });
+    } else if (event.detail >= 3) {
+      const { row } = positionAt(event.clientX, event.clientY);
+      Selection.setSelection({ row, col: 0 }, row < Model.lastIndex
+        ? { row: row + 1, col: 0 }
+        : { row, col: Model.lines[row].length });
+    } else {
+      if (event.altKey && event.shiftKey) {
+        const { row } = positionAt(event.clientX, event.clientY);
+        boxAnchor = { row, col: columnAt(event.clientX) };
+        dragTo(event);
+      } else if (event.shiftKey) {
+        dragTo(event);
+      } else {
+        if (event.altKey) blockMode = true;
+        Selection.setCursor(positionAt(event.clientX, event.clientY));
+        maxCol = head.col;
+      }
+      dragPoint = event;
+      window.addEventListener('mousemove', onDragMove);
+      window.addEventListener('mouseup', onDragEnd);
+      requestAnimationFrame(autoScroll);
+    }
+    render();
+  });
+
+  // Wheel/trackpad: accumulate pixel deltas into whole-line scrolls.
+  // Works in every interactive mode since scrolling doesn't move the cursor.
+  let wheelRemainder = 0;
+  $l.addEventListener('wheel', event => {
+    if (event.ctrlKey) return; // pinch-zoom and browser zoom
+    // deltaMode: 0 = pixels, 1 = lines, 2 = pages
+    const unit = [1, lineHeight, Viewport.size * lineHeight][event.deltaMode];
+    const scrollLeft = $l.scrollLeft;
+    $l.scrollLeft += event.deltaX * unit;
+    const edge = event.deltaY < 0 ? 0 : clampViewportStart(Infinity);
+    if (!event.deltaY || Viewport.start === edge) {
+      wheelRemainder = 0; // drop the leftover so reversing direction responds immediately
+      // Nothing to scroll vertically: let the page have the wheel, unless it scrolled sideways
+      if ($l.scrollLeft !== scrollLeft) event.preventDefault();
+      return;
+    }
+    event.preventDefault(); // keep the page from scrolling underneath the editor
+    wheelRemainder += event.deltaY * unit;
+    const lines = Math.trunc(wheelRemainder / lineHeight);
+    if (!lines) return;
+    wheelRemainder -= lines * lineHeight;
+    Viewport.scroll(clampViewportStart(Viewport.start + lines) - Viewport.start);
+  }, { passive: false });
 }
 
 /**
- * Clamps a value between a minimum and maximum, logging a warning if out of bounds.
+ * Clamps a value between a minimum and maximum.
  * @param {number} value - The value to clamp
  * @param {number} min - Minimum allowed value
  * @param {number} max - Maximum allowed value
  * @returns {number} The clamped value
  */
 function $clamp(value, min, max) {
-  if (value < min) {
-    logger.warn("Out of bounds");
-    return min;
-  }
-  if (value > max) {
-    logger.warn("Out of bounds");
-    return max;
-  }
-  return value;
+  return value < min ? min : value > max ? max : value;
 }
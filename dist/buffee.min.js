@@ -1 +1 @@
-function Buffee(e,{rows:t,cols:o,spaces:n=4,logger:l,callbacks:s}={}){this.version="12.0.0-alpha";const r=this,i=e=>c.spaces?e.replace(/\t/g," ".repeat(c.spaces)):e,c={spaces:n,interactive:1},a=Object.entries(s||{}),h=t=>parseFloat(getComputedStyle(e).getPropertyValue(t)),d=h("--buffee-cell"),f=h("--buffee-padding"),w=h("--buffee-gutter-digits-initial");let u=-1;const g=()=>u+h("--buffee-gutter-digits-padding"),p=(e,t)=>e.querySelector(t),y=p(e,".buffee-elements"),m=p(y,".buffee-lines"),C=p(y,".buffee-cursor"),v=p(y,".buffee-layer-text"),k=p(e,".buffee-clipboard-bridge"),b=p(y,".buffee-gutter");if(o&&!b&&(y.style.width=`calc(${o}ch + ${2*f}px)`),t){const e=t*d+"px";v.style.height=e,b&&(b.style.height=e)}const L=[],[x,S,z]=[0,0,0].map(()=>document.createDocumentFragment()),K={row:0,col:0};let M={row:0,col:0},D=M,E=M.col;const R=this.Selection={get ordered(){return this.isForwardSelection?[D,M]:[M,D]},moveRow(e){e>0?M.row<$.lastIndex&&(M.col=Math.min(E,$.lines[++M.row].length),M.row>O.end&&(O.start=M.row-O.size+1)):M.row>0&&(M.col=Math.min(E,$.lines[--M.row].length),M.row<O.start&&(O.start=M.row)),H()},moveCol(e){1===e?M.col<$.lines[M.row].length?E=++M.col:M.row<$.lastIndex&&(E=M.col=0,++M.row>O.end&&(O.start=M.row-O.size+1)):-1===e&&(M.col>0?E=--M.col:M.row>0&&(E=M.col=$.lines[--M.row].length,M.row<O.start&&(O.start=M.row))),H()},get isSelection(){return M!==D},get isForwardSelection(){return D.row===M.row&&D.col<M.col||D.row<M.row},setCursor({row:e,col:t}){M.row=e,M.col=t,this.makeCursor()},get lines(){const[e,t]=this.ordered;if(e.row===t.row){const o=$.lines[e.row],n=e.row===$.lastIndex,l=o.slice(e.col,t.col);return t.col>=o.length&&!n?[l,""]:[l]}{const o=$.lines[e.row].slice(e.col),n=$.lines[t.row].slice(0,t.col);return[o,...$.lines.slice(e.row+1,t.row),n]}},makeCursor(){D.row=M.row,D.col=M.col,M=D},makeSelection(){M=K,M.row=D.row,M.col=D.col},moveCursorStartOfLine(){var e;E=M.col=(e=$.lines[M.row].search(/[^ ]/))>0&&e<D.col?e:0,H()},moveCursorEndOfLine(){E=M.col=$.lines[M.row].length,H()},insert(e,t=!1){if(e=i(e),this.isSelection){const[t]=this.ordered,o=this.lines.join("\n");r._.delete(t.row,t.col,o);const n=e.length>0?r._.insert(t.row,t.col,e):null;n&&1!==n.length?(M.row=t.row+n.length-1,M.col=n[n.length-1].length):(M.row=t.row,M.col=t.col+e.length),this.makeCursor()}else{const t=r._.insert(D.row,D.col,e);t?1===t.length?E=M.col+=e.length:(M.row+=t.length-1,E=M.col=t[t.length-1].length):E=M.col+=e.length}t||H()},delete(){if(this.isSelection)return this.insert("");if(D.col>0){const e=$.lines[D.row][D.col-1];r._.delete(D.row,D.col-1,e),M.col--}else if(D.row>0){const e=$.lines[D.row-1].length;r._.delete(D.row-1,e,"\n"),M.col=e,M.row--,M.row<O.start&&(O.start=M.row)}H()},newLine(){this.isSelection&&R.insert("",!0),r._.insert(D.row,D.col,"\n"),M.col=0,M.row++,M.row>O.end&&(O.start=M.row-O.size+1),H()},moveBackWord(){const e=$.lines[M.row];if(0===M.col)M.row>0&&(M.row--,M.col=$.lines[M.row].length,M.row<O.start&&(O.start=M.row));else{const t=e=>/\s/.test(e),o=e=>/[\p{L}\p{Nd}_]/u.test(e);let n=M.col;if(t(e[n])){for(;n>0&&t(e[n]);)n--;for(;n>0&&o(e[n]);)n--}else if(o(e[n]))for(;n>0&&o(e[n]);)n--;else{const t=e[n--];for(;n>0&&e[n]===t;)n--}M.col=n}H()},moveWord(){const e=$.lines[M.row],t=e.length;if(M.col===t)M.row<$.lastIndex&&(M.col=0,M.row++,M.row>O.end&&(O.start=M.row-O.size+1));else{const o=e=>/\s/.test(e),n=e=>/[\p{L}\p{Nd}_]/u.test(e);let l=M.col;if(o(e[l])){for(;l<t&&o(e[l]);)l++;for(;l<t&&n(e[l]);)l++}else if(n(e[l]))for(;l<t&&n(e[l]);)l++;else{const o=e[l++];for(;l<t&&e[l]===o;)l++}M.col=l}H()},indent(){if(!this.isSelection)return;const[e,t]=this.ordered;for(let o=e.row;o<=t.row;o++)$.lines[o]=" ".repeat(c.spaces)+$.lines[o];e.col+=c.spaces,t.col+=c.spaces,H()},unindent(){const[e,t]=this.ordered;for(let o=e.row;o<=t.row;o++)if(o===e.row||o===t.row){const n=o===e.row?e:t;let l=0,s=0;const r=$.lines[n.row];let i=n.col;for(;i<r.length&&" "===r.charAt(i);)i++;for(s=i-n.col,i=0;i<n.col&&" "===r.charAt(i);)i++;l=i;const a=Math.min(c.spaces,l+s);$.lines[n.row]=$.lines[n.row].slice(a),s<a&&(n.col-=a-s)}else{const e=$.lines[o];let t=0;for(let o=0;o<Math.min(c.spaces,e.length)&&" "===e.charAt(o);o++)t++;$.lines[o]=e.slice(t)}H()}},I={onContainerRebuild:[],onRenderContent:[],onRenderComplete:[]},$=this.Model={lines:[""],byteCount:"",originalLineCount:0,get lastIndex(){return this.lines.length-1},set text(e){e=i(e),this.lines=e.split("\n"),this.byteCount=(new TextEncoder).encode(e).length,this.originalLineCount=this.lines.length,H()},splice(e,t,o=0){this.lines.splice(e,o,...t),H()},delete(e){this.lines.splice(e,1)}};const O=this.Viewport={start:0,autoFit:t?0:1,size:t||0,delta:t||1,get displayLines(){return this.size+this.autoFit},get end(){return Math.min(this.start+this.size-1,$.lastIndex)},scroll(e){this.start=$clamp(this.start+e,0,$.lastIndex),H()},set(e,t){this.start=$clamp(e-1,0,$.lastIndex),this.delta+=t-this.size,this.size=t,H()},get lines(){return $.lines.slice(this.start,this.end+1)}};let _={lineCount:0,row:0,col:0,frameCount:0},A={lineCount:-1,row:-1,col:-1,frameCount:-1};function F(e,t,o){const n=L[e].style;null!=t&&(n.left=t+"ch"),null!=o&&(n.width=o+"ch")}function H(){_.lineCount=$.lastIndex+1,_.row=M.row,_.col=M.col,_.spaces=c.spaces,_.frameCount=A.frameCount+1;for(const[e,t]of a)_[e]!==A[e]&&t(_,r);const e=A;if(A=_,_=e,b){const e=Math.max(w,(O.start+O.displayLines).toString().length);e!==u&&(u=e,b.style.width=g()+"ch",o&&(y.style.width=`calc(${g()+o}ch + ${4*f}px)`))}if(O.delta){if(O.delta>0){const e=L.length;for(let t=0;t<O.delta;t++){x.appendChild(document.createElement("pre")),z.appendChild(document.createElement("div"));const o=L[e+t]=S.appendChild(document.createElement("div"));o.className="buffee-selection",o.style.top=(e+t)*d+"px"}v.appendChild(x),m.appendChild(S),b&&b.appendChild(z)}else if(O.delta<0)for(let e=0;e<-O.delta;e++)b&&b.lastChild?.remove(),v.lastChild?.remove(),L.pop()?.remove();O.delta=0;for(const e of I.onContainerRebuild)e(m,O)}for(let e=0;e<O.displayLines;e++)b&&(b.children[e].textContent=O.start+e+1),v.children[e].textContent=$.lines[O.start+e]??null,L[e].style.width="0ch";for(const e of I.onRenderContent)e(m,O);if(-1===c.interactive)C.style.visibility="hidden";else{const[e,t]=R.ordered,o=e.row-O.start,n=t.row-O.start;for(let o=e.row+1;o<=t.row-1;o++){const e=o-O.start;e>=0&&e<O.size&&F(e,0,$.lines[o].length+1)}if(o>=0&&o<O.size){const n=t.row===e.row?t.col-e.col:$.lines[e.row].length-e.col+1;F(o,e.col,n)}if(t.row!==e.row&&n>=0&&n<O.size){F(n,0,Math.min(t.col,$.lines[t.row].length))}const l=M.row-O.start;if(l>=0&&l<O.size){C.style.top=l*d+"px",C.style.left=M.col+"ch",C.style.visibility="visible";const e=m.getBoundingClientRect(),t=C.getBoundingClientRect(),o=t.width||14;if(t.left<e.left){const n=e.left-t.left,l=Math.ceil(n/o);m.scrollLeft-=l*o}else if(t.right>e.right){const n=t.right-e.right,l=Math.ceil(n/o);m.scrollLeft+=l*o}m.scrollLeft=Math.round(m.scrollLeft/o)*o}else C.style.visibility="hidden"}for(const e of I.onRenderComplete)e(m,O);return this}if(this.lineHeight=d,this.Mode=c,this._={get head(){return M},get tail(){return D},get contentOffset(){return{ch:b?g():0,px:b?3*f:f,top:f}},$e:y,$l:m,$textLayer:v,render:H,renderHooks:I,insert:function(e,t,o){if(0===o.length)return null;if(1===o.length&&"\n"!==o)return $.lines[e]=$.lines[e].slice(0,t)+o+$.lines[e].slice(t),null;const n=o.split("\n");if(1===n.length)$.lines[e]=$.lines[e].slice(0,t)+o+$.lines[e].slice(t);else{const o=$.lines[e].slice(0,t),l=$.lines[e].slice(t);$.lines[e]=o+n[0];const s=n.slice(1,-1),r=n[n.length-1]+l;$.lines.splice(e+1,0,...s,r)}return n},delete:function(e,t,o){if(0===o.length)return;const n=o.split("\n");if(1===n.length)$.lines[e]=$.lines[e].slice(0,t)+$.lines[e].slice(t+o.length);else{const o=$.lines[e].slice(0,t),l=e+n.length-1,s=n[n.length-1].length,r=$.lines[l].slice(s);$.lines[e]=o+r,$.lines.splice(e+1,n.length-1)}},appendLines(e,t=!1){$.lines.push(...e.map(i)),t||H()}},O.autoFit){const e=()=>{const e=Math.floor(y.clientHeight/d);e>0&&e!==O.size&&(O.delta+=e-O.size,O.size=e,H())};requestAnimationFrame(e),new ResizeObserver(e).observe(y)}else H();m.addEventListener("paste",e=>{e.preventDefault();const t=e.clipboardData.getData("text/plain");t&&R.insert(t)});const B=e=>{e.preventDefault(),e.clipboardData.setData("text/plain",R.lines.join("\n"))};k.addEventListener("copy",B),k.addEventListener("cut",e=>{B(e),R.delete(),m.focus({preventScroll:!0})});const W={ArrowDown:2,ArrowUp:-2,ArrowLeft:-1,ArrowRight:1};m.addEventListener("keydown",e=>{if((e.metaKey||e.ctrlKey)&&"v"===e.key.toLowerCase())return;if((e.metaKey||e.ctrlKey)&&("c"===e.key.toLowerCase()||"x"===e.key.toLowerCase()))return k.focus({preventScroll:!0}),void k.select();if((e.metaKey||e.ctrlKey)&&"z"===e.key.toLowerCase()&&!e.shiftKey)return e.preventDefault(),void(r.History&&r.History.undo());if((e.metaKey||e.ctrlKey)&&"z"===e.key.toLowerCase()&&e.shiftKey)return e.preventDefault(),void(r.History&&r.History.redo());const t=W[e.key]||0;if(t){const o=t>>31|1;if(e.preventDefault(),-1===c.interactive)return;if(e.metaKey)!e.shiftKey&&R.isSelection&&R.makeCursor(),e.shiftKey&&!R.isSelection&&R.makeSelection(),t%2&&R[o>0?"moveCursorEndOfLine":"moveCursorStartOfLine"]();else if(e.altKey)!e.shiftKey&&R.isSelection&&R.makeCursor(),e.shiftKey&&!R.isSelection&&R.makeSelection(),t%2&&R[o>0?"moveWord":"moveBackWord"]();else if(!e.shiftKey&&R.isSelection)if(t%2)R.setCursor(R.ordered[o>0|0]),H();else{const e=R.ordered[o>0|0],t=$clamp(e.row+o,0,$.lastIndex);t<O.start?O.start=t:t>O.end&&(O.start=t-O.size+1),E=Math.min(e.col,$.lines[t].length),R.setCursor({row:t,col:E}),H()}else e.shiftKey&&!R.isSelection&&R.makeSelection(),R[t%2?"moveCol":"moveRow"](o)}else 1!==c.interactive||("Backspace"===e.key?R.delete():"Enter"===e.key?R.newLine():"Escape"===e.key||("Tab"===e.key?(e.preventDefault(),e.shiftKey?R.unindent():R.isSelection?R.indent():R.insert(" ".repeat(c.spaces))):e.key.length>1?l.warn("Ignoring unknown key: ",e.code,e.key):(" "===e.key&&e.preventDefault(),R.insert(e.key))))})}function $clamp(e,t,o){return e<t?(logger.warn("Out of bounds"),t):e>o?(logger.warn("Out of bounds"),o):e}
\ No newline at end of file
+function Buffee(e,{rows:t,cols:o,spaces:n=4,logger:l,callbacks:r}={}){this.version="12.15.8-alpha";const i=this,s=e=>c.spaces?e.replace(/\t/g," ".repeat(c.spaces)):e,c={spaces:n,interactive:1},a=Object.entries(r||{}),h=t=>parseFloat(getComputedStyle(e).getPropertyValue(t)),d=h("--buffee-cell"),f=h("--buffee-padding"),w=h("--buffee-gutter-digits-initial");let u=-1,g=0;const m=()=>g+u+h("--buffee-gutter-digits-padding"),p=(e,t)=>e.querySelector(t),y=p(e,".buffee-elements"),v=p(y,".buffee-lines"),C=p(y,".buffee-cursor"),x=p(y,".buffee-layer-text"),S=p(e,".buffee-clipboard-bridge"),k=p(y,".buffee-gutter");if(o&&!k&&(y.style.width=`calc(${o}ch + ${2*f}px)`),t){const e=t*d+"px";x.style.height=e,k&&(k.style.height=e)}const L=[],[M,b,E]=[0,0,0].map(()=>document.createDocumentFragment()),K={row:0,col:0};let z={row:0,col:0},D=z,R=z.col;const I=[];let O=!1,F=!1;const T=(e,t)=>e.row<t.row||e.row===t.row&&e.col<t.col,_=e=>/\s/.test(e),N=e=>/[\p{L}\p{Nd}_]/u.test(e);function j(e,t){if(_(e[t-1])){for(;t>0&&_(e[t-1]);)t--;for(;t>0&&N(e[t-1]);)t--}else if(N(e[t-1]))for(;t>0&&N(e[t-1]);)t--;else{const o=e[t-1];for(;t>0&&e[t-1]===o;)t--}return t}function $(e,t){const o=e.length;if(_(e[t])){for(;t<o&&_(e[t]);)t++;for(;t<o&&N(e[t]);)t++}else if(N(e[t]))for(;t<o&&N(e[t]);)t++;else{const n=e[t++];for(;t<o&&e[t]===n;)t++}return t}const A=this.Selection={get ordered(){return F&&z!==D?G():this.isForwardSelection?[D,z]:[z,D]},get blockMode(){return F},set blockMode(e){F=!!e,F&&(I.length=0),xe()},moveRow(e){e>0?z.row<se.lastIndex&&(z.col=Math.min(R,se.lines[++z.row].length),z.row>ce.end&&(ce.start=z.row-ce.size+1)):z.row>0&&(z.col=Math.min(R,se.lines[--z.row].length),z.row<ce.start&&(ce.start=z.row)),xe()},moveCol(e){1===e?z.col<se.lines[z.row].length?R=++z.col:z.row<se.lastIndex&&(R=z.col=0,++z.row>ce.end&&(ce.start=z.row-ce.size+1)):-1===e&&(z.col>0?R=--z.col:z.row>0&&(R=z.col=se.lines[--z.row].length,z.row<ce.start&&(ce.start=z.row))),xe()},get isSelection(){return z!==D},get isForwardSelection(){return D.row===z.row&&D.col<z.col||D.row<z.row},setCursor({row:e,col:t}){z.row=e,z.col=t,this.makeCursor()},setSelection(e,t){this.setCursor(e),t.row===e.row&&t.col===e.col||(this.makeSelection(),z.row=t.row,z.col=t.col),R=z.col},get ranges(){return[{tail:D,head:z,primary:!0},...I].map(e=>({tail:{...e.tail},head:{...e.head},primary:!!e.primary})).sort((e,t)=>T(Q(e),Q(t))?-1:1)},addRange(e,t){F=!1,I.push({tail:{...D},head:{...z},maxCol:R}),this.setSelection(e,t),ee(),xe()},addCursor({row:e,col:t}){const o=I.findIndex(o=>o.head.row===e&&o.head.col===t);-1!==o?(I.splice(o,1),xe()):e===z.row&&t===z.col||this.addRange({row:e,col:t},{row:e,col:t})},addNextOccurrence(){if(!this.isSelection){const[e,t]=De(se.lines[z.row],z.col);return this.setSelection({row:z.row,col:e},{row:z.row,col:t}),xe()}const[e,t]=this.ordered;if(e.row!==t.row)return;const o=se.lines[e.row].slice(e.col,t.col),n=new Set([e,...I.map(Q)].map(e=>e.row+","+e.col)),l=se.lastIndex+1;for(let e=0;e<=l;e++){const r=(t.row+e)%l;for(let l=se.lines[r].indexOf(o,e?0:t.col);-1!==l;l=se.lines[r].indexOf(o,l+1))if(!n.has(r+","+l))return(r<ce.start||r>ce.end)&&(ce.start=ae(r-(ce.size>>1))),this.addRange({row:r,col:l},{row:r,col:l+o.length})}},clearRanges(){I.length&&(I.length=0,xe())},get lines(){const[e,t]=this.ordered;if(F&&this.isSelection)return se.lines.slice(e.row,t.row+1).map(o=>o.slice(e.col,t.col));if(e.row===t.row){const o=se.lines[e.row],n=e.row===se.lastIndex,l=o.slice(e.col,t.col);return t.col>=o.length&&!n?[l,""]:[l]}{const o=se.lines[e.row].slice(e.col),n=se.lines[t.row].slice(0,t.col);return[o,...se.lines.slice(e.row+1,t.row),n]}},makeCursor(){D.row=z.row,D.col=z.col,z=D},makeSelection(){z=K,z.row=D.row,z.col=D.col},moveCursorStartOfLine(){var e;R=z.col=(e=se.lines[z.row].search(/[^ ]/))>0&&e<D.col?e:0,xe()},moveCursorEndOfLine(){R=z.col=se.lines[z.row].length,xe()},movePage(e){const t=e*ce.size;z.row=Math.max(0,Math.min(z.row+t,se.lastIndex)),z.col=Math.min(R,se.lines[z.row].length),ce.start=ae(ce.start+t),z.row<ce.start?ce.start=z.row:z.row>ce.end&&(ce.start=z.row-ce.size+1),xe()},moveDocumentStart(){R=z.col=z.row=0,ce.start=0,xe()},moveDocumentEnd(){z.row=se.lastIndex,R=z.col=se.lines[z.row].length,z.row>ce.end&&(ce.start=z.row-ce.size+1),xe()},goToLine(e,t=1){if(!Number.isFinite(e))return;Number.isFinite(t)||(t=1);const o=Math.max(0,Math.min(Math.floor(e)-1,se.lastIndex));I.length=0,this.setCursor({row:o,col:Math.max(0,Math.min(Math.floor(t)-1,se.lines[o].length))}),R=z.col,ce.start=ae(o-(ce.size>>1)),xe()},insert(e,t=!1){if(!re(()=>this.insert(e,!0))){if(e=s(e),this.isSelection){const[t]=this.ordered,o=this.lines.join("\n");i._.delete(t.row,t.col,o);const n=e.length>0?i._.insert(t.row,t.col,e):null;n&&1!==n.length?(z.row=t.row+n.length-1,z.col=n[n.length-1].length):(z.row=t.row,z.col=t.col+e.length),this.makeCursor()}else{const t=i._.insert(D.row,D.col,e);t?1===t.length?R=z.col+=e.length:(z.row+=t.length-1,R=z.col=t[t.length-1].length):R=z.col+=e.length}t||xe()}},delete(){if(!re(()=>this.delete())){if(this.isSelection)return this.insert("");if(D.col>0){const e=se.lines[D.row][D.col-1];i._.delete(D.row,D.col-1,e),z.col--}else if(D.row>0){const e=se.lines[D.row-1].length;i._.delete(D.row-1,e,"\n"),z.col=e,z.row--,z.row<ce.start&&(ce.start=z.row)}xe()}},deleteForward(){if(re(()=>this.deleteForward()))return;if(this.isSelection)return this.insert("");const e=se.lines[D.row];D.col<e.length?i._.delete(D.row,D.col,e[D.col]):D.row<se.lastIndex&&i._.delete(D.row,D.col,"\n"),xe()},deleteWord(e){if(re(()=>this.deleteWord(e)))return;if(this.isSelection)return this.insert("");const t=se.lines[D.row];if(e>0){if(D.col===t.length)return this.deleteForward();i._.delete(D.row,D.col,t.slice(D.col,$(t,D.col)))}else{if(0===D.col)return this.delete();const e=j(t,D.col);i._.delete(D.row,e,t.slice(e,D.col)),R=z.col=e}xe()},deleteToLineStart(){if(!re(()=>this.deleteToLineStart())){if(this.isSelection)return this.insert("");if(0===D.col)return this.delete();i._.delete(D.row,0,se.lines[D.row].slice(0,D.col)),R=z.col=0,xe()}},deleteToLineEnd(){if(re(()=>this.deleteToLineEnd()))return;if(this.isSelection)return this.insert("");const e=se.lines[D.row];if(D.col===e.length)return this.deleteForward();i._.delete(D.row,D.col,e.slice(D.col)),xe()},newLine(){re(()=>this.newLine())||(this.isSelection&&A.insert("",!0),i._.insert(D.row,D.col,"\n"),z.col=0,z.row++,z.row>ce.end&&(ce.start=z.row-ce.size+1),xe())},moveBackWord(){const e=se.lines[z.row];0===z.col?z.row>0&&(z.row--,z.col=se.lines[z.row].length,z.row<ce.start&&(ce.start=z.row)):z.col=j(e,z.col),xe()},moveWord(){const e=se.lines[z.row];z.col===e.length?z.row<se.lastIndex&&(z.col=0,z.row++,z.row>ce.end&&(ce.start=z.row-ce.size+1)):z.col=$(e,z.col),xe()},indent(){if(!this.isSelection)return;const[e,t]=F?J({tail:D,head:z}):this.ordered,o=" ".repeat(c.spaces);le(()=>{for(let n=e.row;n<=t.row;n++)se.lines[n]=o+se.lines[n],q(n,0,"",o)}),e.col+=c.spaces,t.col+=c.spaces,xe()},unindent(){const[e,t]=F?J({tail:D,head:z}):this.ordered;le(()=>{for(let o=e.row;o<=t.row;o++){const n=se.lines[o];if(o===e.row||o===t.row){const n=o===e.row?e:t;let l=0,r=0;const i=se.lines[n.row];let s=n.col;for(;s<i.length&&" "===i.charAt(s);)s++;for(r=s-n.col,s=0;s<n.col&&" "===i.charAt(s);)s++;l=s;const a=Math.min(c.spaces,l+r);se.lines[n.row]=se.lines[n.row].slice(a),r<a&&(n.col-=a-r)}else{const e=se.lines[o];let t=0;for(let o=0;o<Math.min(c.spaces,e.length)&&" "===e.charAt(o);o++)t++;se.lines[o]=e.slice(t)}q(o,0,n.slice(0,n.length-se.lines[o].length),"")}}),xe()}},Y={onContainerRebuild:[],onRenderContent:[],onRenderComplete:[],onFrame:[]},B={change:[],reset:[],selectionChange:[],viewportChange:[],modeChange:[]};let H="api";const X={selectionChange:"",viewportChange:"",modeChange:""};function P(e,t){for(const o of B[e].slice())o(t)}function W(e,t){const o=H;H=e;try{return t()}finally{H=o}}function q(e,t,o,n){B.change.length&&(o||n)&&P("change",{row:e,col:t,removedText:o,insertedText:n,origin:H})}function U(e,t,o){B.change.length&&(e+o.length<se.lines.length?q(e,0,t.map(e=>e+"\n").join(""),o.map(e=>e+"\n").join("")):e>0?q(e-1,se.lines[e-1].length,t.map(e=>"\n"+e).join(""),o.map(e=>"\n"+e).join("")):q(0,0,t.join("\n"),o.join("\n")))}function V(e,t,o){X[e]!==t&&(X[e]=t,B[e].length&&P(e,o()))}function G(){const e=z.col<se.lines[z.row].length?z.col:Math.max(z.col,R);return[{row:Math.min(D.row,z.row),col:Math.min(D.col,e)},{row:Math.max(D.row,z.row),col:Math.max(D.col,e)}]}function J(e){return T(e.head,e.tail)?[e.head,e.tail]:[e.tail,e.head]}function Q(e){return J(e)[0]}function Z(e){const[t,o]=J(e);return t.row===o.row?se.lines[t.row].slice(t.col,o.col):[se.lines[t.row].slice(t.col),...se.lines.slice(t.row+1,o.row),se.lines[o.row].slice(0,o.col)].join("\n")}function ee(){const e=new Set([z.row+","+z.col]);for(let t=0;t<I.length;t++){const o=I[t].head.row+","+I[t].head.col;e.has(o)?I.splice(t--,1):e.add(o)}}function te(e,t,o,n,l,r=!0){const i=n.split("\n"),s=t+i.length-1,c=i.length>1?i[i.length-1].length:o+n.length;l>0?e.row===t&&(r?e.col>=o:e.col>o)?(e.col+=c-o,e.row=s):e.row>t&&(e.row+=s-t):e.row>s?e.row-=s-t:e.row===s&&e.col>=c?(e.col-=c-o,e.row=t):(e.row>t||e.row===t&&e.col>o)&&(e.row=t,e.col=o)}function oe(e,t,o,n){for(const l of I)te(l.tail,e,t,o,n),te(l.head,e,t,o,n)}function ne(e,t=!1){const o={tail:{...D},head:{...z},maxCol:R},n=[...I,o].sort((e,t)=>T(Q(e),Q(t))?1:-1),l=ce.start;I.push(o),O=!0;try{for(const t of n)I.splice(I.indexOf(t),1),A.setSelection(t.tail,t.head),R=t.maxCol,e(),t.tail={...D},t.head={...z},t.maxCol=R,I.push(t)}finally{O=!1}I.splice(I.indexOf(o),1),A.setSelection(o.tail,o.head),R=o.maxCol,ee(),ce.start=l,z.row<ce.start?ce.start=z.row:z.row>ce.end&&(ce.start=z.row-ce.size+1),t||xe()}function le(e){[i.History,i.UndoTree].reduce((e,t)=>t?()=>t.transact(e):e,e)()}function re(e){if(O)return!1;if(F&&z!==D)le(()=>function(e){const[t,o]=G(),n=D.row,l=z.row,r=se.lines.length,i=(e,t)=>({row:e,col:Math.min(t,se.lines[e].length)});I.length=0;for(let e=t.row;e<=o.row;e++)e!==l&&I.push({tail:i(e,t.col),head:i(e,o.col),maxCol:o.col});if(A.setSelection(i(l,t.col),i(l,o.col)),ne(e,!0),se.lines.length===r){const e=Math.max(z.col,...I.map(e=>e.head.col));I.length=0,A.setSelection({row:n,col:e},{row:l,col:e})}else F=!1;xe()}(e));else{if(!I.length)return!1;le(()=>ne(e))}return!0}let ie=[""];const se=this.Model={get lines(){return ie},set lines(e){ie=e,B.reset.length&&P("reset",{origin:H})},byteCount:"",originalLineCount:0,get lastIndex(){return this.lines.length-1},set text(e){e=s(e),this.lines=e.split("\n"),I.length=0,this.byteCount=(new TextEncoder).encode(e).length,this.originalLineCount=this.lines.length,xe()},splice(e,t,o=0){U(e,this.lines.splice(e,o,...t),t),xe()},delete(e){U(e,this.lines.splice(e,1),[])}};const ce=this.Viewport={start:0,autoFit:t?0:1,size:t||0,delta:t||1,get displayLines(){return this.size+this.autoFit},get end(){return Math.min(this.start+this.size-1,se.lastIndex)},scroll(e){this.start=$clamp(this.start+e,0,se.lastIndex),xe()},set(e,t){this.start=$clamp(e-1,0,se.lastIndex),this.delta+=t-this.size,this.size=t,xe()},get lines(){return se.lines.slice(this.start,this.end+1)}};function ae(e){return $clamp(e,0,Math.max(0,se.lastIndex-ce.size+1))}const he=[],de=[];let fe=!1;this.Gutter={get relative(){return fe},set relative(e){fe=!!e,xe()},addRenderer:e=>(he.push(e),xe(),()=>{const t=he.indexOf(e);-1!==t&&(he.splice(t,1),xe())}),onClick:e=>(de.push(e),()=>{const t=de.indexOf(e);-1!==t&&de.splice(t,1)})};function we(e,t){e.textContent=fe&&t!==z.row?Math.abs(t-z.row):t+1,he.forEach((o,n)=>{const l=o(t);if(!l)return;const r=document.createElement("span");r.className=l.className?"buffee-gutter-marker "+l.className:"buffee-gutter-marker",r.textContent=l.text??"",r.style.left=n+"ch",l.color&&(r.style.color=l.color),l.title&&(r.title=l.title),e.appendChild(r)})}let ue={lineCount:0,row:0,col:0,frameCount:0},ge={lineCount:-1,row:-1,col:-1,frameCount:-1};const me=[],pe=[],ye=(e,t,o)=>e[t]||(e[t]=v.appendChild(Object.assign(document.createElement("div"),{className:o})));function ve(e,t,o){const n=Math.max(e.row,ce.start),l=Math.min(t.row,ce.start+ce.size-1);for(let r=n;r<=l;r++){const n=r===e.row?e.col:0,l=r===t.row?Math.min(t.col,se.lines[r].length):se.lines[r].length+1;o(r-ce.start,n,l-n)}}function Ce(e,t,o){const n=L[e].style;null!=t&&(n.left=t+"ch"),null!=o&&(n.width=o+"ch")}function xe(){if(O)return this;ue.lineCount=se.lastIndex+1,ue.row=z.row,ue.col=z.col,ue.spaces=c.spaces,ue.frameCount=ge.frameCount+1;for(const e of Y.onFrame)e(ue);for(const[e,t]of a)ue[e]!==ge[e]&&t(ue,i);const e=ge;if(ge=ue,ue=e,k){const e=Math.max(w,(ce.start+ce.displayLines).toString().length);e===u&&he.length===g||(u=e,g=he.length,k.style.width=m()+"ch",o&&(y.style.width=`calc(${m()+o}ch + ${4*f}px)`))}if(ce.delta){if(ce.delta>0){const e=L.length;for(let t=0;t<ce.delta;t++){M.appendChild(document.createElement("pre")),E.appendChild(document.createElement("div"));const o=L[e+t]=b.appendChild(document.createElement("div"));o.className="buffee-selection",o.style.top=(e+t)*d+"px"}x.appendChild(M),v.appendChild(b),k&&k.appendChild(E)}else if(ce.delta<0)for(let e=0;e<-ce.delta;e++)k&&k.lastChild?.remove(),x.lastChild?.remove(),L.pop()?.remove();ce.delta=0;for(const e of Y.onContainerRebuild)e(v,ce)}for(let e=0;e<ce.displayLines;e++)k&&we(k.children[e],ce.start+e),x.children[e].textContent=se.lines[ce.start+e]??null,L[e].style.width="0ch";for(const e of me)e.style.width="0ch";for(const e of pe)e.style.visibility="hidden";for(const e of Y.onRenderContent)e(v,ce);if(-1===c.interactive)C.style.visibility="hidden";else{const[e,t]=A.ordered;if(F){const o=Math.max(e.row,ce.start),n=Math.min(t.row,ce.start+ce.size-1);for(let l=o;l<=n;l++)Ce(l-ce.start,e.col,t.col-e.col)}else ve(e,t,Ce);let o=0;I.forEach((e,t)=>{const[n,l]=J(e);ve(n,l,(e,t,n)=>{const l=ye(me,o++,"buffee-selection").style;l.top=e*d+"px",l.left=t+"ch",l.width=n+"ch"});const r=e.head.row-ce.start;if(r>=0&&r<ce.size){const o=ye(pe,t,"buffee-cursor buffee-cursor-secondary").style;o.top=r*d+"px",o.left=e.head.col+"ch",o.visibility="visible"}});const n=z.row-ce.start;if(n>=0&&n<ce.size){if(C.style.top=n*d+"px",C.style.left=z.col+"ch",C.style.visibility="visible",ge.row!==ue.row||ge.col!==ue.col){const e=v.getBoundingClientRect(),t=C.getBoundingClientRect(),o=t.width||14;if(t.left<e.left){const n=e.left-t.left,l=Math.ceil(n/o);v.scrollLeft-=l*o}else if(t.right>e.right){const n=t.right-e.right,l=Math.ceil(n/o);v.scrollLeft+=l*o}v.scrollLeft=Math.round(v.scrollLeft/o)*o}}else C.style.visibility="hidden"}for(const e of Y.onRenderComplete)e(v,ce);return V("selectionChange",[D,z,...I.flatMap(e=>[e.tail,e.head])].map(e=>e.row+":"+e.col).join(),()=>({tail:{...D},head:{...z},ranges:A.ranges})),V("viewportChange",ce.start+":"+ce.size,()=>({start:ce.start,end:ce.end,size:ce.size})),V("modeChange",c.interactive+":"+c.spaces,()=>({interactive:c.interactive,spaces:c.spaces})),this}if(this.lineHeight=d,this.Mode=c,this.on=function(e,t){if(!B[e])throw new Error(`Unknown event: ${e}`);return B[e].push(t),()=>{const o=B[e].indexOf(t);-1!==o&&B[e].splice(o,1)}},this._={get head(){return z},get tail(){return D},get maxCol(){return R},set maxCol(e){R=e},get contentOffset(){return{ch:k?m():0,px:k?3*f:f,top:f}},$e:y,$l:v,$textLayer:x,render:xe,renderHooks:Y,renderTokens:function(e,t){const o=document.createDocumentFragment();for(const{text:e,className:n,color:l}of t){if(!n&&!l){o.appendChild(document.createTextNode(e));continue}const t=document.createElement("span");n&&(t.className=n),l&&(t.style.color=l),t.textContent=e,o.appendChild(t)}e.textContent="",e.appendChild(o)},clampViewportStart:ae,mergeRanges:ee,shiftPosition:te,shiftSpan:function(e,{row:t,col:o,removedText:n,insertedText:l}){const r=e.col===e.endCol,i={row:e.row,col:e.col},s={row:e.row,col:e.endCol};for(const[e,c]of[[n,-1],[l,1]])if(e.length&&(te(i,t,o,e,c,!0),te(s,t,o,e,c,r),!r&&i.row===s.row&&i.col>=s.col))return!1;return e.row=i.row,e.col=i.col,e.endCol=s.row===i.row?s.col:se.lines[i.row].length,!0},positionAt:Ke,columnAt:ze,insert:function(e,t,o){if(0===o.length)return null;if(oe(e,t,o,1),1===o.length&&"\n"!==o)return se.lines[e]=se.lines[e].slice(0,t)+o+se.lines[e].slice(t),q(e,t,"",o),null;const n=o.split("\n");if(1===n.length)se.lines[e]=se.lines[e].slice(0,t)+o+se.lines[e].slice(t);else{const o=se.lines[e].slice(0,t),l=se.lines[e].slice(t);se.lines[e]=o+n[0];const r=n.slice(1,-1),i=n[n.length-1]+l;se.lines.splice(e+1,0,...r,i)}return q(e,t,"",o),n},delete:function(e,t,o){if(0===o.length)return;oe(e,t,o,-1);const n=o.split("\n");if(1===n.length)se.lines[e]=se.lines[e].slice(0,t)+se.lines[e].slice(t+o.length);else{const o=se.lines[e].slice(0,t),l=e+n.length-1,r=n[n.length-1].length,i=se.lines[l].slice(r);se.lines[e]=o+i,se.lines.splice(e+1,n.length-1)}q(e,t,o,"")},withOrigin:W,appendLines(e,t=!1){const o=e.map(s);se.lines.push(...o),W("load",()=>U(se.lines.length-o.length,[],o)),t||xe()}},ce.autoFit){const e=()=>{const e=Math.floor(y.clientHeight/d);e>0&&e!==ce.size&&(ce.delta+=e-ce.size,ce.size=e,xe())};requestAnimationFrame(e),new ResizeObserver(e).observe(y)}else xe();v.addEventListener("paste",e=>W("input",()=>{e.preventDefault();const t=e.clipboardData.getData("text/plain"),o=t.split("\n");if(F&&A.isSelection&&o.length>1){const[e,t]=A.ordered;e.col<t.col&&A.insert("",!0),o.forEach((t,o)=>{const n=e.row+o;n>se.lastIndex&&i._.insert(n-1,se.lines[n-1].length,"\n"),i._.insert(n,Math.min(e.col,se.lines[n].length),t)}),A.setCursor({row:e.row,col:Math.min(e.col,se.lines[e.row].length)}),R=z.col,xe()}else if(I.length&&o.length===I.length+1){let e=o.length;ne(()=>A.insert(o[--e],!0))}else t&&A.insert(t)}));const Se=e=>{e.preventDefault(),e.clipboardData.setData("text/plain",I.length?A.ranges.map(Z).join("\n"):A.lines.join("\n"))};S.addEventListener("copy",Se),S.addEventListener("cut",e=>{Se(e),W("input",()=>A.delete()),v.focus({preventScroll:!0})});const ke={ArrowDown:2,ArrowUp:-2,ArrowLeft:-1,ArrowRight:1},Le={PageDown:2,PageUp:-2,Home:-1,End:1};function Me(e){const t=ke[e.key]||0;if(t){const o=t>>31|1;if(e.metaKey)!e.shiftKey&&A.isSelection&&A.makeCursor(),e.shiftKey&&!A.isSelection&&A.makeSelection(),t%2?A[o>0?"moveCursorEndOfLine":"moveCursorStartOfLine"]():A[o>0?"moveDocumentEnd":"moveDocumentStart"]();else if(e.altKey)!e.shiftKey&&A.isSelection&&A.makeCursor(),e.shiftKey&&!A.isSelection&&A.makeSelection(),t%2&&A[o>0?"moveWord":"moveBackWord"]();else if(!e.shiftKey&&A.isSelection)if(t%2){const e=A.ordered[o>0|0];A.setCursor({row:e.row,col:Math.min(e.col,se.lines[e.row].length)}),xe()}else{const e=A.ordered[o>0|0],t=$clamp(e.row+o,0,se.lastIndex);t<ce.start?ce.start=t:t>ce.end&&(ce.start=t-ce.size+1),R=Math.min(e.col,se.lines[t].length),A.setCursor({row:t,col:R}),xe()}else e.shiftKey&&!A.isSelection&&A.makeSelection(),A[t%2?"moveCol":"moveRow"](o)}else{const t=Le[e.key],o=t>>31|1;!e.shiftKey&&A.isSelection&&A.makeCursor(),e.shiftKey&&!A.isSelection&&A.makeSelection(),t%2==0?A.movePage(o):e.metaKey||e.ctrlKey?A[o>0?"moveDocumentEnd":"moveDocumentStart"]():A[o>0?"moveCursorEndOfLine":"moveCursorStartOfLine"]()}}const be=p(e,".buffee-status");let Ee=null;function Ke(e,t,o=!1){const n=v.getBoundingClientRect(),l=Math.max(ce.start,Math.min(ce.start+Math.floor((t-n.top)/d),ce.end));return{row:l,col:Math.min(ze(e,o),se.lines[l].length)}}function ze(e,t=!1){const o=C.getBoundingClientRect().width||14,n=(e-v.getBoundingClientRect().left+v.scrollLeft)/o;return Math.max(0,t?Math.floor(n):Math.round(n))}function De(e,t){if((t=Math.min(t,e.length-1))<0)return[0,0];const o=e=>_(e)?0:N(e)?1:e,n=o(e[t]);let l=t,r=t+1;for(;l>0&&o(e[l-1])===n;)l--;for(;r<e.length&&o(e[r])===n;)r++;return[l,r]}v.addEventListener("keydown",t=>W("input",()=>{if(!t.metaKey&&!t.ctrlKey||"v"!==t.key.toLowerCase()){if((t.metaKey||t.ctrlKey)&&("c"===t.key.toLowerCase()||"x"===t.key.toLowerCase()))return S.focus({preventScroll:!0}),void S.select();if(t.ctrlKey&&"g"===t.key.toLowerCase())return t.preventDefault(),void(-1!==c.interactive&&function(){if(Ee)return Ee.focus();const t=Ee=Object.assign(document.createElement("input"),{className:"buffee-goto",placeholder:`Go to line (1-${se.lastIndex+1})`}),o=e=>{Ee===t&&(Ee=null,t.remove(),e&&v.focus({preventScroll:!0}))};t.addEventListener("keydown",e=>{if(e.stopPropagation(),"Enter"===e.key){const[e,n]=t.value.split(":").map(Number);e&&A.goToLine(e,n||1),o(!0)}else"Escape"===e.key&&o(!0)}),t.addEventListener("blur",()=>o(!1)),(be||e).appendChild(t),t.focus()}());if((t.metaKey||t.ctrlKey)&&"d"===t.key.toLowerCase())return t.preventDefault(),void(1===c.interactive&&A.addNextOccurrence());if((t.metaKey||t.ctrlKey)&&"z"===t.key.toLowerCase()&&!t.shiftKey)return t.preventDefault(),void(i.History&&i.History.undo());if((t.metaKey||t.ctrlKey)&&"z"===t.key.toLowerCase()&&t.shiftKey)return t.preventDefault(),void(i.History&&i.History.redo());if(ke[t.key]||Le[t.key]){if(t.preventDefault(),-1===c.interactive)return;I.length?ne(()=>Me(t)):Me(t)}else if("Escape"===t.key)A.clearRanges(),F&&(A.blockMode=!1);else if(1!==c.interactive);else if("Backspace"===t.key||"Delete"===t.key){const e="Delete"===t.key;t.metaKey?A[e?"deleteToLineEnd":"deleteToLineStart"]():t.altKey||t.ctrlKey?A.deleteWord(e?1:-1):A[e?"deleteForward":"delete"]()}else"Enter"===t.key?A.newLine():"Tab"===t.key?(t.preventDefault(),t.shiftKey?A.unindent():A.isSelection?A.indent():A.insert(" ".repeat(c.spaces))):t.key.length>1?l.warn("Ignoring unknown key: ",t.code,t.key):(" "===t.key&&t.preventDefault(),A.insert(t.key))}}));let Re=null,Ie=null;const Oe=({clientX:e,clientY:t})=>{const{row:o,col:n}=Ke(e,t);if(Ie)return function(e,t){const o=(e,t)=>({row:e,col:Math.min(t,se.lines[e].length)});I.length=0;for(let n=e.row;n!==t.row;n+=t.row<e.row?-1:1)I.push({tail:o(n,e.col),head:o(n,t.col),maxCol:t.col});A.setSelection(o(t.row,e.col),o(t.row,t.col)),R=t.col}(Ie,{row:o,col:ze(e)}),xe();A.isSelection||o===D.row&&n===D.col||A.makeSelection(),R=z.col=n,F&&(R=ze(e)),z.row=o,xe()},Fe=()=>{if(!Re)return;const e=v.getBoundingClientRect(),t=Re.clientY<e.top?-1:Re.clientY>e.bottom?1:0;t&&(ce.start=ae(ce.start+t),Oe(Re)),requestAnimationFrame(Fe)},Te=e=>{Re=e,Oe(e)},_e=()=>{Re=Ie=null,window.removeEventListener("mousemove",Te),window.removeEventListener("mouseup",_e)};k&&k.addEventListener("click",e=>{const t=Array.prototype.indexOf.call(k.children,e.target.closest(".buffee-gutter > *")),o=ce.start+t;if(!(-1===t||o>se.lastIndex))for(const t of de)t(o,e)}),v.addEventListener("mousedown",e=>{if(0===e.button&&-1!==c.interactive){if(e.preventDefault(),v.focus({preventScroll:!0}),e.altKey||(F=!1),(e.metaKey||e.ctrlKey)&&1===e.detail)return A.addCursor(Ke(e.clientX,e.clientY));if(I.length=0,2===e.detail){const{row:t,col:o}=Ke(e.clientX,e.clientY,!0),[n,l]=De(se.lines[t],o);A.setSelection({row:t,col:n},{row:t,col:l})}else if(e.detail>=3){const{row:t}=Ke(e.clientX,e.clientY);A.setSelection({row:t,col:0},t<se.lastIndex?{row:t+1,col:0}:{row:t,col:se.lines[t].length})}else{if(e.altKey&&e.shiftKey){const{row:t}=Ke(e.clientX,e.clientY);Ie={row:t,col:ze(e.clientX)},Oe(e)}else e.shiftKey?Oe(e):(e.altKey&&(F=!0),A.setCursor(Ke(e.clientX,e.clientY)),R=z.col);Re=e,window.addEventListener("mousemove",Te),window.addEventListener("mouseup",_e),requestAnimationFrame(Fe)}xe()}});let Ne=0;v.addEventListener("wheel",e=>{if(e.ctrlKey)return;const t=[1,d,ce.size*d][e.deltaMode],o=v.scrollLeft;v.scrollLeft+=e.deltaX*t;const n=e.deltaY<0?0:ae(1/0);if(!e.deltaY||ce.start===n)return Ne=0,void(v.scrollLeft!==o&&e.preventDefault());e.preventDefault(),Ne+=e.deltaY*t;const l=Math.trunc(Ne/d);l&&(Ne-=l*d,ce.scroll(ae(ce.start+l)-ce.start))},{passive:!1})}function $clamp(e,t,o){return e<t?t:e>o?o:e}
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview BuffeeDecorations - Range decorations for external analyzers.
+ * Linters, type-checkers and other tools publish ranges per owner; each set
+ * replaces that owner's previous one. Ranges are kept in absolute rows and
+ * follow every change event, so they survive scrolling, edits and undo.
+ * Visible ranges are drawn as pooled overlay boxes under the text,
+ * so they sit on top of Syntax or TreeSitter colors without touching them.
+ * @version 1.2.2
+ */
+
+/**
+ * Decorator: adds range decorations to a Buffee instance.
+ *
+ * @param {Buffee} editor - The Buffee instance to extend
+ * @returns {Buffee} The extended editor instance
+ * @example
+ * const editor = BuffeeDecorations(Buffee(container, config));
+ * editor.Decorations.set('eslint', [
+ *   { row: 4, startCol: 6, endCol: 9, className: 'lint-warning', hover: "'foo' is never used" }
+ * ]);
+ */
+function BuffeeDecorations(editor) {
+  const { $l, render, renderHooks, shiftSpan, positionAt, columnAt } = editor._;
+  const { Viewport, lineHeight } = editor;
+
+  const owners = new Map();  // owner -> [{ row, startCol, endCol, className, hover }]
+  const $boxes = [];         // Pooled overlay boxes
+
+  const $hover = document.createElement('div');
+  $hover.className = 'buffee-decoration-hover';
+  Object.assign($hover.style, {
+    position: 'absolute',
+    display: 'none',
+    whiteSpace: 'pre',
+    padding: '2px 6px',
+    fontSize: '0.85em',
+    lineHeight: 'normal',
+    background: '#21252B',
+    color: '#ABB2BF',
+    border: '1px solid #3E4451',
+    borderRadius: '3px',
+    zIndex: 'var(--buffee-z-elements)',
+    pointerEvents: 'none'
+  });
+  $l.appendChild($hover);
+
+  // Every edit, whoever makes it: typing, History or UndoTree, other extensions.
+  // A range split across rows is cut at the end of its first row; a range the
+  // edit deletes is dropped.
+  editor.on('change', change => {
+    for (const [owner, list] of owners) {
+      owners.set(owner, list.filter(d => {
+        const span = { row: d.row, col: d.startCol, endCol: d.endCol };
+        if (!shiftSpan(span, change)) return false;
+        Object.assign(d, { row: span.row, startCol: span.col, endCol: span.endCol });
+        return true;
+      }));
+    }
+  });
+
+  // A replaced document has none of the old ranges; owners publish again
+  editor.on('reset', () => owners.clear());
+
+  renderHooks.onRenderContent.push(() => {
+    let count = 0;
+    for (const list of owners.values()) {
+      for (const d of list) {
+        if (d.row < Viewport.start || d.row > Viewport.end) continue;
+        const $box = $boxes[count] || ($boxes[count] = $l.appendChild(document.createElement('div')));
+        $box.className = d.className ? 'buffee-decoration ' + d.className : 'buffee-decoration';
+        Object.assign($box.style, {
+          position: 'absolute',
+          top: (d.row - Viewport.start) * lineHeight + 'px',
+          left: d.startCol + 'ch',
+          width: Math.max(d.endCol - d.startCol, 0) + 'ch',
+          height: lineHeight + 'px',
+          zIndex: 'var(--buffee-z-selection)',
+          pointerEvents: 'none',
+          display: ''
+        });
+        count++;
+      }
+    }
+    for (let i = count; i < $boxes.length; i++) $boxes[i].style.display = 'none';
+    $hover.style.display = 'none';
+  });
+
+  // Hover: the boxes ignore the pointer so selection still works; find the
+  // decorations under it from the mouse position instead.
+  $l.addEventListener('mousemove', event => {
+    if (event.buttons) return;
+    const { row } = positionAt(event.clientX, event.clientY);
+    const col = columnAt(event.clientX, true);
+    Decorations.showHover(row, col);
+  });
+  $l.addEventListener('mouseleave', () => { $hover.style.display = 'none'; });
+
+  const Decorations = {
+    /**
+     * Replaces all decorations of an owner. Positions are absolute rows and
+     * 0-indexed columns, endCol exclusive.
+     * @param {string} owner - Publisher, e.g. 'eslint' or 'tsc'
+     * @param {Array<{row: number, startCol: number, endCol: number, className?: string, hover?: string}>} decorations
+     */
+    set(owner, decorations) {
+      owners.set(owner, decorations.map(({ row, startCol, endCol, className = '', hover = null }) =>
+        ({ row, startCol, endCol: Math.max(startCol, endCol), className, hover })));
+      render();
+    },
+
+    /**
+     * Current decorations of an owner, with positions updated by edits.
+     * @param {string} owner
+     * @returns {Array<{row: number, startCol: number, endCol: number, className: string, hover: string|null}>}
+     */
+    get(owner) {
+      return (owners.get(owner) || []).map(d => ({ ...d }));
+    },
+
+    /**
+     * Removes the decorations of one owner, or of every owner.
+     * @param {string} [owner]
+     */
+    clear(owner) {
+      owner === undefined ? owners.clear() : owners.delete(owner);
+      render();
+    },
+
+    /** @type {string[]} Owners with decorations */
+    get owners() { return [...owners.keys()]; },
+
+    /**
+     * Decorations covering a position. An empty range covers its own column.
+     * @param {number} row - Absolute row
+     * @param {number} col - Column
+     * @returns {Array<{owner: string, row: number, startCol: number, endCol: number, className: string, hover: string|null}>}
+     */
+    at(row, col) {
+      const found = [];
+      for (const [owner, list] of owners) {
+        for (const d of list) {
+          if (d.row === row && d.startCol <= col && (col < d.endCol || col === d.startCol)) found.push({ owner, ...d });
+        }
+      }
+      return found;
+    },
+
+    /**
+     * Shows the hover messages of the decorations at a position next to the
+     * first of them, or hides the hover if there are none. Called on mousemove.
+     * @param {number} row - Absolute row
+     * @param {number} col - Column
+     * @returns {boolean} True if a hover is shown
+     */
+    showHover(row, col) {
+      const found = this.at(row, col).filter(d => d.hover);
+      if (!found.length || row < Viewport.start || row > Viewport.end) {
+        $hover.style.display = 'none';
+        return false;
+      }
+      const viewportRow = row - Viewport.start;
+      // Open below the row, or above it in the bottom half of the viewport
+      const below = viewportRow < Viewport.size / 2;
+      $hover.textContent = found.map(d => d.hover).join('\n');
+      Object.assign($hover.style, {
+        display: '',
+        left: found[0].startCol + 'ch',
+        top: below ? (viewportRow + 1) * lineHeight + 'px' : '',
+        bottom: below ? '' : `calc(100% - ${viewportRow * lineHeight}px)`
+      });
+      return true;
+    },
+
+    /** @type {HTMLElement} Hover element (.buffee-decoration-hover) */
+    $hover
+  };
+
+  editor.Decorations = Decorations;
+  return editor;
+}
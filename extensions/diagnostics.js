@@ -0,0 +1,277 @@
+/**
+ * @fileoverview BuffeeDiagnostics - Errors and warnings from a language
+ * server, linter or compiler. Each diagnostic gets a severity icon in the
+ * gutter and a squiggly underline under its range, shows its message on
+ * hover, and can be stepped through with next()/prev(). Diagnostics are
+ * kept in absolute rows and follow edits. Counts are published on the
+ * render frame as `frame.diagnostics`, so a `diagnostics` config callback
+ * (see BuffeeStatusLine) can show them in the status line.
+ * @version 1.3.3
+ */
+
+/**
+ * Decorator: adds diagnostics to a Buffee instance.
+ *
+ * @param {Buffee} editor - The Buffee instance to extend
+ * @returns {Buffee} The extended editor instance
+ * @example
+ * const editor = BuffeeDiagnostics(Buffee(container, {
+ *   ...config,
+ *   callbacks: { diagnostics: frame => $status.textContent = frame.diagnostics.error + ' errors' }
+ * }));
+ * editor.Diagnostics.set([
+ *   { row: 4, col: 6, endCol: 9, severity: 'warning', message: "'foo' is never used" }
+ * ]);
+ * editor.Diagnostics.next();
+ */
+function BuffeeDiagnostics(editor) {
+  const { $l, render, renderHooks, clampViewportStart, shiftSpan, positionAt, columnAt } = editor._;
+  const { Model, Selection, Viewport, Gutter, lineHeight } = editor;
+
+  /** Severities from most to least severe, with their colors */
+  const colors = { error: '#E06C75', warning: '#E5C07B', info: '#61AFEF', hint: '#98C379' };
+  const severities = Object.keys(colors);
+
+  let diagnostics = [];     // { row, col, endCol, severity, message } in document order
+  let counts = { error: 0, warning: 0, info: 0, hint: 0, total: 0 };
+  const $squiggles = [];    // Pooled underlines
+
+  const $hover = document.createElement('div');
+  $hover.className = 'buffee-diagnostic-hover';
+  Object.assign($hover.style, {
+    position: 'absolute',
+    display: 'none',
+    whiteSpace: 'pre',
+    padding: '2px 6px',
+    fontSize: '0.85em',
+    lineHeight: 'normal',
+    background: '#21252B',
+    color: '#ABB2BF',
+    border: '1px solid #3E4451',
+    borderRadius: '3px',
+    zIndex: 'var(--buffee-z-elements)',
+    pointerEvents: 'none'
+  });
+  $l.appendChild($hover);
+
+  /**
+   * A zigzag drawn with two gradients, repeated along the bottom of a box.
+   * @private
+   */
+  const squiggle = color =>
+    `linear-gradient(135deg, transparent 45%, ${color} 45%, ${color} 60%, transparent 60%) 0 100% / 4px 3px repeat-x,` +
+    `linear-gradient(45deg, transparent 45%, ${color} 45%, ${color} 60%, transparent 60%) 0 100% / 4px 3px repeat-x`;
+
+  const byPosition = (a, b) => a.row - b.row || a.col - b.col;
+
+  /**
+   * Recounts by severity. The counts object is only replaced when a count
+   * changes, so the frame callback fires once per change.
+   * @private
+   */
+  function recount() {
+    const next = { error: 0, warning: 0, info: 0, hint: 0, total: diagnostics.length };
+    for (const d of diagnostics) next[d.severity]++;
+    if (severities.some(s => next[s] !== counts[s])) counts = next;
+  }
+
+  // Keep diagnostics in step with edits. A range split across rows is cut at
+  // the end of its first row; a range the edit deletes is dropped.
+  editor.on('change', change => {
+    if (!diagnostics.length) return;
+    diagnostics = diagnostics.filter(d => shiftSpan(d, change));
+    recount();
+  });
+
+  // A replaced document has none of the old problems, so its counts drop to zero
+  editor.on('reset', () => {
+    diagnostics = [];
+    recount();
+  });
+
+  renderHooks.onFrame.push(frame => { frame.diagnostics = counts; });
+
+  // Gutter lane: one icon per row, for its most severe diagnostic
+  Gutter.addRenderer(row => {
+    const onRow = [];
+    for (let i = lowerBound(row, 0); i < diagnostics.length && diagnostics[i].row === row; i++) onRow.push(diagnostics[i]);
+    if (!onRow.length) return null;
+    const worst = severities.find(s => onRow.some(d => d.severity === s));
+    return {
+      text: '●',
+      className: 'buffee-diagnostic-icon buffee-diagnostic-icon-' + worst,
+      color: colors[worst],
+      title: onRow.map(d => d.message).join('\n')
+    };
+  });
+
+  renderHooks.onRenderContent.push(() => {
+    let squiggles = 0;
+    for (const d of diagnostics) {
+      if (d.row < Viewport.start) continue;
+      if (d.row > Viewport.end) break;
+      const viewportRow = d.row - Viewport.start;
+      const color = colors[d.severity];
+
+      const $squiggle = $squiggles[squiggles] || ($squiggles[squiggles] = $l.appendChild(document.createElement('div')));
+      $squiggle.className = 'buffee-diagnostic buffee-diagnostic-' + d.severity;
+      Object.assign($squiggle.style, {
+        position: 'absolute',
+        top: viewportRow * lineHeight + 'px',
+        left: d.col + 'ch',
+        // An empty range underlines the character it points at
+        width: Math.max(d.endCol - d.col, 1) + 'ch',
+        height: lineHeight + 'px',
+        background: squiggle(color),
+        zIndex: 'var(--buffee-z-selection)',
+        pointerEvents: 'none',
+        display: ''
+      });
+      squiggles++;
+    }
+    for (let i = squiggles; i < $squiggles.length; i++) $squiggles[i].style.display = 'none';
+    $hover.style.display = 'none';
+  });
+
+  // Hover: the underlines ignore the pointer so selection still works; find
+  // the diagnostics under it from the mouse position instead.
+  $l.addEventListener('mousemove', event => {
+    if (event.buttons) return;
+    const { row } = positionAt(event.clientX, event.clientY);
+    const col = columnAt(event.clientX, true);
+    Diagnostics.showHover(row, col);
+  });
+  $l.addEventListener('mouseleave', () => { $hover.style.display = 'none'; });
+
+  /**
+   * Index of the first diagnostic at or after a position (length if none).
+   * @private
+   */
+  function lowerBound(row, col) {
+    let lo = 0, hi = diagnostics.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const d = diagnostics[mid];
+      if (d.row < row || d.row === row && d.col < col) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Puts the cursor on a diagnostic and scrolls it into view, centered.
+   * @private
+   */
+  function select(d) {
+    if (d.row < Viewport.start || d.row > Viewport.end) {
+      Viewport.start = clampViewportStart(d.row - (Viewport.size >> 1));
+    }
+    Selection.setCursor({ row: d.row, col: d.col });
+    render();
+    return { ...d };
+  }
+
+  const Diagnostics = {
+    /**
+     * Replaces all diagnostics. Positions are absolute rows and 0-indexed
+     * columns, endCol exclusive; without endCol a diagnostic runs to the
+     * end of its line.
+     * @param {Array<{row: number, col: number, endCol?: number, severity?: 'error'|'warning'|'info'|'hint', message: string}>} list
+     */
+    set(list) {
+      diagnostics = list.map(({ row, col = 0, endCol, severity = 'error', message = '' }) => ({
+        row,
+        col,
+        endCol: Math.max(col, endCol ?? Model.lines[row]?.length ?? col),
+        severity: severity in colors ? severity : 'error',
+        message
+      })).sort(byPosition);
+      recount();
+      render();
+    },
+
+    /**
+     * Current diagnostics in document order, with positions updated by edits.
+     * @returns {Array<{row: number, col: number, endCol: number, severity: string, message: string}>}
+     */
+    get() {
+      return diagnostics.map(d => ({ ...d }));
+    },
+
+    /**
+     * Removes every diagnostic.
+     */
+    clear() {
+      this.set([]);
+    },
+
+    /** @type {{error: number, warning: number, info: number, hint: number, total: number}} Counts by severity */
+    get counts() { return counts; },
+
+    /**
+     * Diagnostics covering a position. An empty range covers its own column.
+     * @param {number} row - Absolute row
+     * @param {number} col - Column
+     * @returns {Array<{row: number, col: number, endCol: number, severity: string, message: string}>}
+     */
+    at(row, col) {
+      return diagnostics
+        .filter(d => d.row === row && d.col <= col && (col < d.endCol || col === d.col))
+        .map(d => ({ ...d }));
+    },
+
+    /**
+     * Moves the cursor to the next diagnostic after it, wrapping.
+     * @returns {{row: number, col: number, endCol: number, severity: string, message: string}|null} The diagnostic, or null if none
+     */
+    next() {
+      if (!diagnostics.length) return null;
+      const [first] = Selection.ordered;
+      const i = lowerBound(first.row, first.col + 1);
+      return select(diagnostics[i < diagnostics.length ? i : 0]);
+    },
+
+    /**
+     * Moves the cursor to the previous diagnostic before it, wrapping.
+     * @returns {{row: number, col: number, endCol: number, severity: string, message: string}|null} The diagnostic, or null if none
+     */
+    prev() {
+      if (!diagnostics.length) return null;
+      const [first] = Selection.ordered;
+      const i = lowerBound(first.row, first.col) - 1;
+      return select(diagnostics[i >= 0 ? i : diagnostics.length - 1]);
+    },
+
+    /**
+     * Shows the messages of the diagnostics at a position next to the first
+     * of them, or hides the hover if there are none. Called on mousemove.
+     * @param {number} row - Absolute row
+     * @param {number} col - Column
+     * @returns {boolean} True if a hover is shown
+     */
+    showHover(row, col) {
+      const found = this.at(row, col).filter(d => d.message);
+      if (!found.length || row < Viewport.start || row > Viewport.end) {
+        $hover.style.display = 'none';
+        return false;
+      }
+      const viewportRow = row - Viewport.start;
+      // Open below the row, or above it in the bottom half of the viewport
+      const below = viewportRow < Viewport.size / 2;
+      $hover.textContent = found.map(d => `${d.severity}: ${d.message}`).join('\n');
+      Object.assign($hover.style, {
+        display: '',
+        left: found[0].col + 'ch',
+        top: below ? (viewportRow + 1) * lineHeight + 'px' : '',
+        bottom: below ? '' : `calc(100% - ${viewportRow * lineHeight}px)`
+      });
+      return true;
+    },
+
+    /** @type {HTMLElement} Hover element (.buffee-diagnostic-hover) */
+    $hover
+  };
+
+  editor.Diagnostics = Diagnostics;
+  return editor;
+}
@@ -1,7 +1,9 @@
 /**
  * @fileoverview BuffeeHighlights - Fixed-position highlight extension for Buffee.
  * Creates a non-scrolling layer for rendering highlights aligned with text content.
- * @version 1.0.0
+ * Highlights made with create() sit on viewport rows; anchored ones made with
+ * anchor() are marks on document positions that follow scrolling and edits.
+ * @version 1.3.2
  */
 
 /**
@@ -11,8 +13,8 @@
  * @returns {Buffee} The extended editor instance
  */
 function BuffeeHighlights(editor) {
-  const { $e, contentOffset } = editor._;
-  const { lineHeight } = editor;
+  const { $e, $l, renderHooks, contentOffset, shiftSpan } = editor._;
+  const { Viewport, lineHeight } = editor;
 
   // Create fixed layer for highlights (doesn't scroll with content)
   const $layer = document.createElement('div');
@@ -32,6 +34,74 @@ function BuffeeHighlights(editor) {
   $e.parentElement.appendChild($layer);
 
   const highlights = [];
+  const anchors = [];  // { row, col, width, $el } in document positions
+
+  /**
+   * Builds a highlight element in the layer at a viewport row.
+   * @private
+   */
+  function element(row, col, width, style) {
+    const hl = document.createElement('div');
+    hl.className = 'buffee-highlight';
+    Object.assign(hl.style, {
+      position: 'absolute',
+      top: row * lineHeight + 'px',
+      left: col + 'ch',
+      width: width + 'ch',
+      height: lineHeight + 'px',
+      backgroundColor: '#FF6600',
+      pointerEvents: 'none',
+      ...style
+    });
+    return $layer.appendChild(hl);
+  }
+
+  /**
+   * Places anchored highlights for the current viewport and horizontal
+   * scroll, hiding those whose row or columns are out of view.
+   * @private
+   */
+  function positionAnchors() {
+    if (!anchors.length) return;
+    const scrollLeft = $l.scrollLeft;
+    const charWidth = $e.querySelector('.buffee-cursor')?.getBoundingClientRect().width || 14;
+    const from = scrollLeft / charWidth;
+    const to = $l.clientWidth ? from + $l.clientWidth / charWidth : Infinity;
+    for (const { row, col, width, $el } of anchors) {
+      const visible = row >= Viewport.start && row <= Viewport.end && col + width > from && col < to;
+      $el.style.display = visible ? '' : 'none';
+      if (!visible) continue;
+      $el.style.top = (row - Viewport.start) * lineHeight + 'px';
+      $el.style.left = `calc(${col}ch - ${scrollLeft}px)`;
+      $el.style.width = width + 'ch';
+    }
+  }
+
+  // Keep anchors on their text through edits. Anchors whose text is deleted
+  // are removed; one split by a newline keeps its first row.
+  editor.on('change', change => {
+    if (!anchors.length) return;
+    for (let i = anchors.length - 1; i >= 0; i--) {
+      const anchor = anchors[i];
+      const span = { row: anchor.row, col: anchor.col, endCol: anchor.col + anchor.width };
+      if (!shiftSpan(span, change)) {
+        anchor.$el.remove();
+        anchors.splice(i, 1);
+        continue;
+      }
+      anchor.row = span.row;
+      anchor.col = span.col;
+      anchor.width = span.endCol - span.col;
+    }
+    positionAnchors();
+  });
+
+  // A replaced document has none of the anchored text
+  editor.on('reset', () => Highlights.clearAnchored());
+
+  renderHooks.onRenderComplete.push(positionAnchors);
+  // Wheel and cursor moves scroll $l horizontally without always rendering
+  $l.addEventListener('scroll', positionAnchors);
 
   const Highlights = {
     /** The highlight layer element */
@@ -46,25 +116,42 @@ function BuffeeHighlights(editor) {
      * @returns {HTMLElement} The highlight element
      */
     create(row, col, width, style = {}) {
-      const hl = document.createElement('div');
-      hl.className = 'buffee-highlight';
-      Object.assign(hl.style, {
-        position: 'absolute',
-        top: row * lineHeight + 'px',
-        left: col + 'ch',
-        width: width + 'ch',
-        height: lineHeight + 'px',
-        backgroundColor: '#FF6600',
-        pointerEvents: 'none',
-        ...style
-      });
-      $layer.appendChild(hl);
+      const hl = element(row, col, width, style);
       highlights.push(hl);
       return hl;
     },
 
     /**
-     * Remove a specific highlight.
+     * Create a highlight anchored to a document position. It follows
+     * scrolling (vertical and horizontal), is hidden while out of view, and
+     * moves with edits; deleting its text, or replacing the document,
+     * removes it.
+     * @param {number} row - Absolute row (0-indexed)
+     * @param {number} col - Column position
+     * @param {number} width - Width in characters
+     * @param {Object} [style] - Optional style overrides
+     * @returns {HTMLElement} The highlight element (.buffee-highlight-anchored)
+     */
+    anchor(row, col, width, style = {}) {
+      const hl = element(0, col, width, style);
+      hl.classList.add('buffee-highlight-anchored');
+      anchors.push({ row, col, width, $el: hl });
+      positionAnchors();
+      return hl;
+    },
+
+    /**
+     * Document position of an anchored highlight, updated by edits.
+     * @param {HTMLElement} hl - Element returned by anchor()
+     * @returns {{row: number, col: number, width: number}|null} Null if not anchored or removed
+     */
+    positionOf(hl) {
+      const anchor = anchors.find(a => a.$el === hl);
+      return anchor ? { row: anchor.row, col: anchor.col, width: anchor.width } : null;
+    },
+
+    /**
+     * Remove a specific highlight, anchored or not.
      * @param {HTMLElement} hl - The highlight element to remove
      */
     remove(hl) {
@@ -73,10 +160,26 @@ function BuffeeHighlights(editor) {
         hl.remove();
         highlights.splice(idx, 1);
       }
+      const anchorIdx = anchors.findIndex(a => a.$el === hl);
+      if (anchorIdx !== -1) {
+        hl.remove();
+        anchors.splice(anchorIdx, 1);
+      }
     },
 
     /**
-     * Clear all highlights.
+     * Clear all anchored highlights.
+     */
+    clearAnchored() {
+      for (const { $el } of anchors) {
+        $el.remove();
+      }
+      anchors.length = 0;
+    },
+
+    /**
+     * Clear all highlights made with create(). Anchored highlights stay,
+     * so consumers that redraw on every render do not remove other marks.
      */
     clear() {
       for (const hl of highlights) {
@@ -85,9 +188,14 @@ function BuffeeHighlights(editor) {
       highlights.length = 0;
     },
 
-    /** Get all current highlights */
+    /** Get all current highlights made with create() */
     get all() {
       return highlights;
+    },
+
+    /** Get all anchored highlight elements */
+    get anchored() {
+      return anchors.map(a => a.$el);
     }
   };
 
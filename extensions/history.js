@@ -1,29 +1,79 @@
 /**
  * @fileoverview BuffeeHistory - Undo/redo extension for Buffee.
- * Enables history tracking with undo/redo support.
- * @version 1.0.0
+ * Enables history tracking with undo/redo support. The stacks can be
+ * serialized with a fingerprint of the document they apply to, and saved
+ * to a storage adapter so undo survives a page refresh. transact() groups
+ * any edits into one undo step. Each entry records the selection before
+ * and after its action: undo restores the first, redo the second. Edits
+ * are recorded from 'change' events, so every edit counts, whoever makes it.
+ * @version 1.6.0
  */
 
 /**
  * Decorator: adds undo/redo support to a Buffee instance.
  *
  * @param {Buffee} editor - The Buffee instance to extend
+ * @param {Object} [options] - History options
+ * @param {{getItem: function(string): (string|null|Promise<string|null>), setItem: function(string, string): (void|Promise<void>)}} [options.storage]
+ *   Storage adapter, e.g. localStorage or an IndexedDB wrapper. Changes are saved to it after saveDelay.
+ * @param {string} [options.key='buffee-history'] - Storage key
+ * @param {number} [options.saveDelay=1000] - Milliseconds after the last change before saving
+ * @param {function(Error): void} [options.onSaveError] - Called when a scheduled save fails, e.g. a full localStorage
+ * @param {number} [options.coalesceTimeout=500] - Typing pauses longer than this start a new undo step
+ * @param {boolean} [options.wordBoundary=false] - Also start a new step where a word begins after whitespace or punctuation
  * @returns {Buffee} The extended editor instance
  * @example
- * const editor = BuffeeHistory(Buffee(container, config));
+ * const editor = BuffeeHistory(Buffee(container, config), { storage: localStorage, key: 'draft-42' });
+ * editor.Model.text = draft;
+ * await editor.History.load(); // false if the saved history is for other content
  */
-function BuffeeHistory(editor) {
-  const { render, insert: _insert, delete: _delete } = editor._;
+function BuffeeHistory(editor, {
+  storage = null, key = 'buffee-history', saveDelay = 1000, onSaveError = () => {}, coalesceTimeout = 500, wordBoundary = false
+} = {}) {
+  const { render, renderHooks, withOrigin, mergeRanges, insert: _insert, delete: _delete } = editor._;
+  const { Model } = editor;
 
   // State
   const undoStack = [];
   const redoStack = [];
   let _lastOpTime = 0;
-  const coalesceTimeout = 500;
+  let _transaction = null;  // { ops, cursorBefore } while transact() runs
 
   // Combined operation state (for selection replacement: delete + insert as atomic)
   let _combinedPending = null;
 
+  let _saveTimer = null;
+
+  // Entry whose cursorAfter is not final yet: the editor moves the cursor
+  // after the primitive edit, so it is captured at the next render
+  let _settling = null;
+  const listeners = [];
+
+  /**
+   * Fingerprint of the document: its length and a 32-bit FNV-1a hash of
+   * its lines. Serialized stacks only restore onto the same content.
+   * @private
+   */
+  function fingerprint() {
+    let hash = 0x811c9dc5;
+    let length = 0;
+    for (let i = 0; i < Model.lines.length; i++) {
+      const line = i ? '\n' + Model.lines[i] : Model.lines[i];
+      length += line.length;
+      for (let j = 0; j < line.length; j++) {
+        hash = Math.imul(hash ^ line.charCodeAt(j), 0x01000193);
+      }
+    }
+    return length + ':' + (hash >>> 0).toString(16);
+  }
+
+  /** Saves to storage once changes have settled. Nobody awaits the timer, so failures go to onSaveError. */
+  function scheduleSave() {
+    if (!storage) return;
+    clearTimeout(_saveTimer);
+    _saveTimer = setTimeout(() => History.save().catch(onSaveError), saveDelay);
+  }
+
   /** Capture current cursor/selection state */
   function captureCursor() {
     // Access via getters each time - head/tail references can change after makeSelection()
@@ -31,7 +81,8 @@ function BuffeeHistory(editor) {
     const tail = editor._.tail;
     return {
       headRow: head.row, headCol: head.col,
-      tailRow: tail.row, tailCol: tail.col
+      tailRow: tail.row, tailCol: tail.col,
+      maxCol: editor._.maxCol
     };
   }
 
@@ -53,6 +104,52 @@ function BuffeeHistory(editor) {
     head.col = cursor.headCol;
     tail.row = cursor.tailRow;
     tail.col = cursor.tailCol;
+    editor._.maxCol = cursor.maxCol ?? cursor.headCol;
+  }
+
+  /**
+   * Calls listeners with an entry and the selections it restores.
+   * @private
+   * @param {'edit'|'undo'|'redo'} type
+   */
+  function notify(type, entry) {
+    for (const listener of listeners) {
+      listener({ type, entry, cursorBefore: entry.cursorBefore, cursorAfter: entry.cursorAfter });
+    }
+  }
+
+  /**
+   * Records the cursor after the action of the entry that is still settling.
+   * @private
+   */
+  function settle() {
+    if (!_settling) return;
+    const entry = _settling;
+    _settling = null;
+    entry.cursorAfter = captureCursor();
+    notify('edit', entry);
+  }
+
+  /**
+   * Marks an entry as settling, after settling the previous one.
+   * @private
+   */
+  function touch(entry) {
+    if (_settling !== entry) settle();
+    _settling = entry;
+  }
+
+  renderHooks.onRenderComplete.push(settle);
+
+  const isWordChar = ch => /\w/.test(ch);
+
+  /**
+   * Whether a word starts between two adjacent pieces of text: a word
+   * character right after whitespace or punctuation.
+   * @private
+   */
+  function wordStarts(before, after) {
+    return !isWordChar(before[before.length - 1]) && isWordChar(after[0]);
   }
 
   /** Check if we can coalesce with the last operation */
@@ -61,22 +158,34 @@ function BuffeeHistory(editor) {
     if (Date.now() - _lastOpTime > coalesceTimeout) return false;
 
     const last = undoStack[undoStack.length - 1];
-    if (last.type !== type) return false;
+    if (last.type !== type || last.combined) return false;
     if (text.includes('\n') || last.text.includes('\n')) return false;
 
     if (type === 'insert') {
+      if (wordBoundary && wordStarts(last.text, text)) return false;
       return last.row === row && last.col + last.text.length === col;
     } else {
+      // Backspace deletes right to left: the new text comes before the last
+      if (wordBoundary && wordStarts(text, last.text)) return false;
       return last.row === row && col + text.length === last.col;
     }
   }
 
-  // Wrap insert to record history
-  editor._.insert = function(row, col, text) {
-    if (text.length === 0) return null;
+  /**
+   * Records an edit made inside transact(); the whole transaction becomes
+   * one undo step when it ends.
+   * @private
+   */
+  function recordInTransaction(type, row, col, text) {
+    _transaction.ops.push({ type, row, col, text });
+  }
 
-    const cursorBefore = captureCursor();
-    const result = _insert(row, col, text);
+  /** Records an insert, made before the editor moved the cursor to its end */
+  function recordInsert(row, col, text, cursorBefore) {
+    if (_transaction) {
+      recordInTransaction('insert', row, col, text);
+      return;
+    }
 
     // Check if this insert is part of a combined operation (selection replacement)
     if (_combinedPending && _combinedPending.row === row && _combinedPending.col === col) {
@@ -85,25 +194,28 @@ function BuffeeHistory(editor) {
       last.insertText = text;
       last.combined = true;
       _combinedPending = null;
+      touch(last);
     } else if (canCoalesce('insert', row, col, text)) {
       const last = undoStack[undoStack.length - 1];
       last.text += text;
+      touch(last);
     } else {
       _combinedPending = null; // Clear any stale pending
-      undoStack.push({ type: 'insert', row, col, text, cursorBefore });
+      const entry = { type: 'insert', row, col, text, cursorBefore };
+      undoStack.push(entry);
+      touch(entry);
     }
     _lastOpTime = Date.now();
     redoStack.length = 0;
+    scheduleSave();
+  }
 
-    return result;
-  };
-
-  // Wrap delete to record history
-  editor._.delete = function(row, col, text) {
-    if (text.length === 0) return;
-
-    const cursorBefore = captureCursor();
-    _delete(row, col, text);
+  /** Records a delete, made before the editor moved the cursor to its start */
+  function recordDelete(row, col, text, cursorBefore) {
+    if (_transaction) {
+      recordInTransaction('delete', row, col, text);
+      return;
+    }
 
     // Check if this might be the start of a combined operation
     // (selection delete followed by insert at same position)
@@ -114,8 +226,11 @@ function BuffeeHistory(editor) {
       last.text = text + last.text;
       last.col = col;
       _combinedPending = null;
+      touch(last);
     } else {
-      undoStack.push({ type: 'delete', row, col, text, cursorBefore });
+      const entry = { type: 'delete', row, col, text, cursorBefore };
+      undoStack.push(entry);
+      touch(entry);
       // Mark as potentially combined if it looks like a selection delete
       if (isSelectionDelete) {
         _combinedPending = { row, col };
@@ -125,12 +240,31 @@ function BuffeeHistory(editor) {
     }
     _lastOpTime = Date.now();
     redoStack.length = 0;
-  };
+    scheduleSave();
+  }
 
-  function undoOp(op) {
+  // Record every edit except undo and redo replaying entries and lines
+  // loaded with appendLines. Change listeners run before the editor moves
+  // the cursor, so it is still where the edit began.
+  editor.on('change', ({ row, col, removedText, insertedText, origin }) => {
+    if (origin === 'undo' || origin === 'redo' || origin === 'load') return;
     const cursorBefore = captureCursor();
+    if (removedText) recordDelete(row, col, removedText, cursorBefore);
+    if (insertedText) recordInsert(row, col, insertedText, cursorBefore);
+  });
 
-    if (op.combined) {
+  /** Applies the inverse of a transaction's edits, last first */
+  function revert(ops) {
+    for (let i = ops.length - 1; i >= 0; i--) {
+      const { type, row, col, text } = ops[i];
+      type === 'insert' ? _delete(row, col, text) : _insert(row, col, text);
+    }
+  }
+
+  function undoOp(op) {
+    if (op.type === 'transaction') {
+      revert(op.ops);
+    } else if (op.combined) {
       // Combined operation: undo insert first, then restore deleted text
       _delete(op.row, op.col, op.insertText);
       _insert(op.row, op.col, op.text);
@@ -139,11 +273,14 @@ function BuffeeHistory(editor) {
     } else {
       _insert(op.row, op.col, op.text);
     }
-    return { ...op, cursorAfter: cursorBefore };
   }
 
   function redoOp(op) {
-    if (op.combined) {
+    if (op.type === 'transaction') {
+      for (const { type, row, col, text } of op.ops) {
+        type === 'insert' ? _insert(row, col, text) : _delete(row, col, text);
+      }
+    } else if (op.combined) {
       // Combined operation: delete original text, then insert replacement
       _delete(op.row, op.col, op.text);
       _insert(op.row, op.col, op.insertText);
@@ -152,7 +289,6 @@ function BuffeeHistory(editor) {
     } else {
       _delete(op.row, op.col, op.text);
     }
-    undoStack.push(op);
   }
 
   // Create History object on editor
@@ -160,26 +296,42 @@ function BuffeeHistory(editor) {
     get undoStack() { return undoStack; },
     get redoStack() { return redoStack; },
 
+    /**
+     * Undoes the last entry and restores the selection from before it.
+     * @returns {boolean} False if there is nothing to undo
+     */
     undo() {
       if (undoStack.length === 0) return false;
+      settle();
 
       const op = undoStack.pop();
-      const undoneOp = undoOp(op);
-      redoStack.push(undoneOp);
+      withOrigin('undo', () => undoOp(op));
+      redoStack.push(op);
       restoreCursor(op.cursorBefore);
+      mergeRanges(); // other cursors tracked the edit back and may meet the restored one
+      notify('undo', op);
+      scheduleSave();
 
       render();
       return true;
     },
 
+    /**
+     * Redoes the last undone entry and restores the selection from after it.
+     * @returns {boolean} False if there is nothing to redo
+     */
     redo() {
       if (redoStack.length === 0) return false;
 
       const op = redoStack.pop();
-      redoOp(op);
+      withOrigin('redo', () => redoOp(op));
+      undoStack.push(op);
       if (op.cursorAfter) {
         restoreCursor(op.cursorAfter);
+        mergeRanges();
       }
+      notify('redo', op);
+      scheduleSave();
 
       render();
       return true;
@@ -188,6 +340,116 @@ function BuffeeHistory(editor) {
     clear() {
       undoStack.length = 0;
       redoStack.length = 0;
+      _settling = null;
+      scheduleSave();
+    },
+
+    /**
+     * Adds a listener for recorded, undone and redone entries. It gets the
+     * entry with the selection before and after its action, as
+     * { headRow, headCol, tailRow, tailCol, maxCol }; 'edit' fires once the
+     * editor has moved the cursor, at the render after the edit.
+     * @param {function({type: 'edit'|'undo'|'redo', entry: Object, cursorBefore: Object, cursorAfter: Object}): void} listener
+     * @returns {function(): void} Removes the listener
+     */
+    addListener(listener) {
+      listeners.push(listener);
+      return () => {
+        const i = listeners.indexOf(listener);
+        if (i !== -1) listeners.splice(i, 1);
+      };
+    },
+
+    /**
+     * Runs fn and records every edit it makes as one undo step. Nested
+     * calls join the outer transaction. If fn throws, its edits are
+     * reverted and the error is rethrown.
+     * @param {function(): *} fn - Synchronous function that edits the document
+     * @returns {*} fn's return value
+     * @example
+     * editor.History.transact(() => formatDocument(editor));
+     */
+    transact(fn) {
+      if (_transaction) return fn();
+      const transaction = _transaction = { ops: [], cursorBefore: captureCursor() };
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        withOrigin('undo', () => revert(transaction.ops));
+        restoreCursor(transaction.cursorBefore);
+        render();
+        throw error;
+      } finally {
+        _transaction = null;
+      }
+      if (transaction.ops.length) {
+        const entry = { type: 'transaction', ops: transaction.ops, cursorBefore: transaction.cursorBefore };
+        undoStack.push(entry);
+        touch(entry);
+        _lastOpTime = 0;
+        _combinedPending = null;
+        redoStack.length = 0;
+        scheduleSave();
+      }
+      render();
+      return result;
+    },
+
+    /**
+     * Serializes both stacks with a fingerprint of the current document.
+     * @returns {string} JSON for restore()
+     */
+    serialize() {
+      return JSON.stringify({ version: 1, fingerprint: fingerprint(), undoStack, redoStack });
+    },
+
+    /**
+     * Replaces both stacks with serialized ones. Refused, leaving history
+     * untouched, unless they were serialized from the same content as the
+     * current document.
+     * @param {string|Object} json - Output of serialize(), or its parsed object
+     * @returns {boolean} True if restored
+     */
+    restore(json) {
+      let data;
+      try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+      } catch {
+        return false;
+      }
+      if (!data || data.version !== 1 || data.fingerprint !== fingerprint()) return false;
+      if (!Array.isArray(data.undoStack) || !Array.isArray(data.redoStack)) return false;
+      undoStack.splice(0, undoStack.length, ...data.undoStack);
+      redoStack.splice(0, redoStack.length, ...data.redoStack);
+      // A restored entry is never extended by the next keystroke
+      _lastOpTime = 0;
+      _combinedPending = null;
+      _settling = null;
+      return true;
+    },
+
+    /**
+     * Saves serialize() to the storage adapter now, cancelling a scheduled save.
+     * @returns {Promise<boolean>} False if there is no storage adapter
+     * @throws {Error} Rejects if the adapter's setItem throws
+     */
+    async save() {
+      clearTimeout(_saveTimer);
+      if (!storage) return false;
+      await storage.setItem(key, this.serialize());
+      return true;
+    },
+
+    /**
+     * Restores from the storage adapter. Call it after loading the document
+     * text, so the fingerprint matches.
+     * @returns {Promise<boolean>} True if restored
+     */
+    async load() {
+      if (!storage) return false;
+      const json = await storage.getItem(key);
+      return json != null && this.restore(json);
     }
   };
 
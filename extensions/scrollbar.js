@@ -0,0 +1,164 @@
+/**
+ * @fileoverview BuffeeScrollbar - Virtual scrollbar for Buffee.
+ * The editor only renders Viewport.size lines, so there is no native
+ * scroll height to drive a browser scrollbar. This draws an overlay track
+ * whose thumb is sized by Viewport.size / Model.lines.length and maps
+ * thumb drags back to Viewport.set(). Works with UltraHighCapacity, where
+ * Model.lines.length reports the total line count.
+ * @version 1.0.1
+ */
+
+/**
+ * Decorator: adds a virtual scrollbar to a Buffee instance.
+ *
+ * @param {Buffee} editor - The Buffee instance to extend
+ * @param {Object} [options] - Scrollbar options
+ * @param {number} [options.width=8] - Track width in pixels
+ * @param {number} [options.minThumb] - Minimum thumb height in pixels (default: lineHeight)
+ * @returns {Buffee} The extended editor instance
+ * @example
+ * const editor = BuffeeScrollbar(Buffee(container, config));
+ * editor.Scrollbar.enabled = true;
+ */
+function BuffeeScrollbar(editor, { width = 8, minThumb } = {}) {
+  const { $e, render, renderHooks, contentOffset } = editor._;
+  const { Model, Viewport, lineHeight } = editor;
+  const minThumbPX = minThumb ?? lineHeight;
+
+  let enabled = false;
+
+  const $track = document.createElement('div');
+  $track.className = 'buffee-scrollbar';
+  Object.assign($track.style, {
+    position: 'absolute',
+    top: contentOffset.top + 'px',
+    right: '0',
+    width: width + 'px',
+    display: 'none',
+    zIndex: 'var(--buffee-z-elements)'
+  });
+
+  const $thumb = document.createElement('div');
+  $thumb.className = 'buffee-scrollbar-thumb';
+  Object.assign($thumb.style, {
+    position: 'absolute',
+    left: '0',
+    right: '0',
+    background: 'currentColor',
+    opacity: '0.3',
+    borderRadius: width / 2 + 'px'
+  });
+
+  $track.appendChild($thumb);
+  $e.parentNode.appendChild($track);
+
+  /**
+   * Computes track and thumb geometry for the current viewport.
+   * Track height matches the rendered lines, so it needs no layout reads.
+   * @private
+   * @returns {{trackHeight: number, thumbTop: number, thumbHeight: number, maxStart: number}}
+   */
+  function metrics() {
+    const total = Model.lines.length;
+    const trackHeight = Viewport.size * lineHeight;
+    const maxStart = Math.max(0, total - Viewport.size);
+    const thumbHeight = total > Viewport.size
+      ? Math.min(trackHeight, Math.max(minThumbPX, Math.round(trackHeight * Viewport.size / total)))
+      : trackHeight;
+    const thumbTop = maxStart ? (trackHeight - thumbHeight) * Math.min(Viewport.start, maxStart) / maxStart : 0;
+    return { trackHeight, thumbTop, thumbHeight, maxStart };
+  }
+
+  /**
+   * Moves the viewport so that its first line is `start` (0-indexed), clamped.
+   * @private
+   */
+  function scrollTo(start, maxStart) {
+    start = Math.max(0, Math.min(Math.round(start), maxStart));
+    if (start !== Viewport.start) Viewport.set(start + 1, Viewport.size);
+  }
+
+  /**
+   * Syncs track and thumb with the viewport.
+   * @private
+   */
+  function update() {
+    const { trackHeight, thumbTop, thumbHeight, maxStart } = metrics();
+    $track.style.display = enabled && maxStart ? '' : 'none';
+    $track.style.height = trackHeight + 'px';
+    $thumb.style.top = thumbTop + 'px';
+    $thumb.style.height = thumbHeight + 'px';
+  }
+
+  // Thumb drag: pixels moved map linearly onto the scrollable line range.
+  let drag = null;
+
+  function onDragMove(event) {
+    const { trackHeight, thumbHeight, maxStart } = metrics();
+    const range = trackHeight - thumbHeight;
+    if (!range) return;
+    scrollTo(drag.start + (event.clientY - drag.y) / range * maxStart, maxStart);
+  }
+
+  function onDragEnd() {
+    drag = null;
+    $thumb.classList.remove('buffee-scrollbar-active');
+    window.removeEventListener('mousemove', onDragMove);
+    window.removeEventListener('mouseup', onDragEnd);
+  }
+
+  $thumb.addEventListener('mousedown', (event) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    drag = { y: event.clientY, start: Viewport.start };
+    $thumb.classList.add('buffee-scrollbar-active');
+    window.addEventListener('mousemove', onDragMove);
+    window.addEventListener('mouseup', onDragEnd);
+  });
+
+  // Track click: page up or down by one viewport, toward the click.
+  $track.addEventListener('mousedown', (event) => {
+    if (event.button !== 0 || event.target !== $track) return;
+    event.preventDefault();
+    const { thumbTop, maxStart } = metrics();
+    const y = event.clientY - $track.getBoundingClientRect().top;
+    const direction = y < thumbTop ? -1 : 1;
+    scrollTo(Viewport.start + direction * Viewport.size, maxStart);
+  });
+
+  renderHooks.onRenderComplete.push(() => {
+    if (enabled) update();
+  });
+
+  const Scrollbar = {
+    /**
+     * Whether the scrollbar is shown. It stays hidden while the
+     * whole document fits in the viewport.
+     */
+    get enabled() { return enabled; },
+    set enabled(v) {
+      enabled = !!v;
+      update();
+      render();
+    },
+
+    /** @type {HTMLElement} Track element (.buffee-scrollbar) */
+    $track,
+
+    /** @type {HTMLElement} Thumb element (.buffee-scrollbar-thumb) */
+    $thumb,
+
+    /**
+     * Removes the scrollbar from the DOM.
+     */
+    destroy() {
+      onDragEnd();
+      enabled = false;
+      $track.remove();
+    }
+  };
+
+  editor.Scrollbar = Scrollbar;
+  return editor;
+}
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview BuffeeSearch - Find and replace for Buffee.
+ * Scans Model.lines in chunks that yield to the event loop, so a search
+ * over millions of lines keeps the editor responsive. Matches are drawn
+ * for the visible rows only and kept in step with edits, and a replaced
+ * document is searched again. Replacements go through
+ * editor._.insert/_.delete so History and UndoTree record them.
+ * @version 1.3.2
+ */
+
+/**
+ * Decorator: adds find and replace to a Buffee instance.
+ *
+ * @param {Buffee} editor - The Buffee instance to extend
+ * @param {Object} [options] - Search options
+ * @param {number} [options.chunkSize=10000] - Lines scanned between yields to the event loop
+ * @returns {Buffee} The extended editor instance
+ * @example
+ * const editor = BuffeeSearch(Buffee(container, config));
+ * await editor.Search.find('TODO', { wholeWord: true });
+ * editor.Search.next();
+ */
+function BuffeeSearch(editor, { chunkSize = 10000 } = {}) {
+  const { $l, render, renderHooks, clampViewportStart } = editor._;
+  const { Model, Selection, Viewport, lineHeight } = editor;
+
+  let query = '';
+  let options = {};         // { regex, caseSensitive, wholeWord } of the active query
+  let pattern = null;       // Global RegExp for the active query, null when cleared
+  let pending = Promise.resolve(0); // Scan started by the last find()
+  const matches = [];       // { row, col, length } in document order
+  let scanRow = 0;          // Rows before this one have been scanned
+  let generation = 0;       // Bumped by find/clear so a running scan can tell it is stale
+  let replacing = false;    // replaceAll() rescans once at the end instead of per edit
+
+  const $marks = [];        // Pooled match highlights
+
+  /**
+   * Builds the search RegExp. Plain queries match literally; wholeWord
+   * requires non-word characters ([A-Za-z0-9_]) or line edges around a match.
+   * @private
+   */
+  function compile(source, { regex, caseSensitive, wholeWord }) {
+    if (!regex) source = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  }
+
+  /**
+   * Appends the matches in one line. Empty matches are skipped.
+   * @private
+   */
+  function scanLine(row, out) {
+    const line = Model.lines[row];
+    pattern.lastIndex = 0;
+    for (let m; (m = pattern.exec(line)); ) {
+      if (m[0].length) {
+        out.push({ row, col: m.index, length: m[0].length });
+      } else {
+        pattern.lastIndex++;
+      }
+    }
+  }
+
+  /**
+   * Index of the first match at or after a position (matches.length if none).
+   * @private
+   */
+  function lowerBound(row, col = 0) {
+    let lo = 0, hi = matches.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const m = matches[mid];
+      if (m.row < row || m.row === row && m.col < col) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Scans the remaining rows chunk by chunk, yielding between chunks.
+   * @private
+   * @returns {Promise<number|null>} Match count, or null if a newer find or clear took over
+   */
+  async function scan(gen) {
+    while (scanRow < Model.lines.length) {
+      const end = Math.min(scanRow + chunkSize, Model.lines.length);
+      for (; scanRow < end; scanRow++) scanLine(scanRow, matches);
+      render();
+      await new Promise(resolve => setTimeout(resolve));
+      if (gen !== generation) return null;
+    }
+    return matches.length;
+  }
+
+  /**
+   * Keeps matches in step with an edit: rescans the rows it touched and
+   * shifts the matches below. Rows not scanned yet are left to scan().
+   * @private
+   * @param {number} row - First edited row
+   * @param {number} oldCount - Rows covered by the edit before it
+   * @param {number} newCount - Rows covered by the edit after it
+   */
+  function onEdit(row, oldCount, newCount) {
+    if (!pattern || replacing || row >= scanRow) return;
+    const from = lowerBound(row);
+    const to = lowerBound(row + oldCount);
+    const delta = newCount - oldCount;
+    const found = [];
+    for (let r = row; r < row + newCount; r++) scanLine(r, found);
+    for (let i = to; i < matches.length; i++) matches[i].row += delta;
+    matches.splice(from, to - from, ...found);
+    scanRow = Math.max(scanRow + delta, row + newCount);
+  }
+
+  const newlines = text => text.split('\n').length - 1;
+
+  // Every edit, including undo and redo, rescans the rows it touched
+  editor.on('change', ({ row, removedText, insertedText }) => {
+    onEdit(row, 1 + newlines(removedText), 1 + newlines(insertedText));
+  });
+
+  // A replaced document has none of the old matches: run the active query again
+  editor.on('reset', () => {
+    if (pattern) Search.find(query, options);
+  });
+
+  /**
+   * Selects a match and scrolls it into view, centered.
+   * @private
+   */
+  function select(match) {
+    if (match.row < Viewport.start || match.row > Viewport.end) {
+      Viewport.start = clampViewportStart(match.row - (Viewport.size >> 1));
+    }
+    Selection.setSelection({ row: match.row, col: match.col }, { row: match.row, col: match.col + match.length });
+    render();
+    return match;
+  }
+
+  /**
+   * Text that replaces a match. In regex mode the replacement may use
+   * $1, $<name> and $& like String.prototype.replace.
+   * @private
+   */
+  function replacementFor(match, replacement) {
+    if (!options.regex) return replacement;
+    const line = Model.lines[match.row];
+    const sticky = new RegExp(pattern.source, pattern.flags.replace('g', 'y'));
+    sticky.lastIndex = match.col;
+    const replaced = line.replace(sticky, replacement);
+    return replaced.slice(match.col, replaced.length - (line.length - match.col - match.length));
+  }
+
+  /**
+   * Runs fn as one undo step when History or UndoTree is applied.
+   * @private
+   */
+  function transact(fn) {
+    const history = editor.History || editor.UndoTree;
+    return history ? history.transact(fn) : fn();
+  }
+
+  /**
+   * Replaces one match through editor._.delete/_.insert.
+   * @private
+   */
+  function replaceMatch(match, replacement) {
+    const text = replacementFor(match, replacement);
+    transact(() => {
+      editor._.delete(match.row, match.col, Model.lines[match.row].slice(match.col, match.col + match.length));
+      editor._.insert(match.row, match.col, text);
+    });
+    return text;
+  }
+
+  renderHooks.onRenderContent.push(() => {
+    let count = 0;
+    const current = Search.current;
+    for (let i = lowerBound(Viewport.start); i < matches.length && matches[i].row <= Viewport.end; i++) {
+      const $mark = $marks[count] || ($marks[count] = $l.appendChild(document.createElement('div')));
+      $mark.className = i === current ? 'buffee-search-match buffee-search-match-current' : 'buffee-search-match';
+      Object.assign($mark.style, {
+        position: 'absolute',
+        top: (matches[i].row - Viewport.start) * lineHeight + 'px',
+        left: matches[i].col + 'ch',
+        width: matches[i].length + 'ch',
+        height: lineHeight + 'px',
+        backgroundColor: i === current ? 'rgba(255, 150, 50, 0.6)' : 'rgba(255, 220, 0, 0.4)',
+        zIndex: 'var(--buffee-z-selection)',
+        pointerEvents: 'none',
+        display: ''
+      });
+      count++;
+    }
+    for (let i = count; i < $marks.length; i++) $marks[i].style.display = 'none';
+  });
+
+  const Search = {
+    /**
+     * Starts a search, replacing any previous one. Matches fill in as chunks
+     * are scanned; each chunk re-renders, so highlights appear progressively.
+     * @param {string} text - Text or pattern to find
+     * @param {Object} [options]
+     * @param {boolean} [options.regex=false] - Treat text as a regular expression (per line)
+     * @param {boolean} [options.caseSensitive=false] - Match case
+     * @param {boolean} [options.wholeWord=false] - Only match whole words
+     * @returns {Promise<number|null>} Match count once scanned, or null if superseded
+     * @throws {SyntaxError} If regex is set and the pattern is invalid
+     */
+    find(text, { regex = false, caseSensitive = false, wholeWord = false } = {}) {
+      const next = text ? compile(text, { regex, caseSensitive, wholeWord }) : null;
+      generation++;
+      matches.length = 0;
+      scanRow = 0;
+      query = text;
+      options = { regex, caseSensitive, wholeWord };
+      pattern = next;
+      if (!pattern) {
+        render();
+        return pending = Promise.resolve(0);
+      }
+      return pending = scan(generation);
+    },
+
+    /**
+     * Selects the next match after the cursor or selection start, wrapping.
+     * @returns {{row: number, col: number, length: number}|null} The match, or null if none
+     */
+    next() {
+      if (!matches.length) return null;
+      const [first] = Selection.ordered;
+      const i = Selection.isSelection ? lowerBound(first.row, first.col + 1) : lowerBound(first.row, first.col);
+      return select(matches[i < matches.length ? i : 0]);
+    },
+
+    /**
+     * Selects the previous match before the cursor or selection start, wrapping.
+     * @returns {{row: number, col: number, length: number}|null} The match, or null if none
+     */
+    prev() {
+      if (!matches.length) return null;
+      const [first] = Selection.ordered;
+      const i = lowerBound(first.row, first.col) - 1;
+      return select(matches[i >= 0 ? i : matches.length - 1]);
+    },
+
+    /**
+     * Replaces the selected match and moves to the next one.
+     * If the selection is not a match, only moves to the next match.
+     * @param {string} replacement - Replacement text ($1 etc. in regex mode)
+     * @returns {boolean} True if a match was replaced
+     */
+    replace(replacement) {
+      const i = this.current;
+      if (i === -1) {
+        this.next();
+        return false;
+      }
+      const match = matches[i];
+      const text = replaceMatch(match, replacement);
+      Selection.setCursor({ row: match.row, col: match.col + text.length });
+      this.next() || render();
+      return true;
+    },
+
+    /**
+     * Replaces every match, bottom-up so earlier positions stay valid,
+     * then searches again. Waits for a running scan to finish first.
+     * With History or UndoTree applied, all replacements undo as one step.
+     * @param {string} replacement - Replacement text ($1 etc. in regex mode)
+     * @returns {Promise<number>} Number of matches replaced
+     */
+    async replaceAll(replacement) {
+      if (!pattern) return 0;
+      const gen = generation;
+      await pending;
+      if (gen !== generation) return 0;
+      const count = matches.length;
+      replacing = true;
+      try {
+        transact(() => {
+          for (let i = count - 1; i >= 0; i--) replaceMatch(matches[i], replacement);
+        });
+      } finally {
+        replacing = false;
+      }
+      if (count) Selection.setCursor({ row: matches[0].row, col: matches[0].col });
+      await this.find(query, options);
+      return count;
+    },
+
+    /**
+     * Ends the search and removes its highlights.
+     */
+    clear() {
+      this.find('');
+    },
+
+    /** @type {string} The active query ('' when cleared) */
+    get query() { return query; },
+
+    /** @type {{row: number, col: number, length: number}[]} Matches found so far, in document order */
+    get matches() { return matches; },
+
+    /** @type {boolean} Whether a scan is still running */
+    get scanning() { return !!pattern && scanRow < Model.lines.length; },
+
+    /** @type {number} Index of the match that is selected, or -1 */
+    get current() {
+      if (!Selection.isSelection) return -1;
+      const [first, second] = Selection.ordered;
+      const i = lowerBound(first.row, first.col);
+      const m = matches[i];
+      return m && m.row === first.row && m.col === first.col && second.row === first.row && second.col === m.col + m.length ? i : -1;
+    }
+  };
+
+  editor.Search = Search;
+  return editor;
+}
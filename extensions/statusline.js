@@ -11,6 +11,7 @@ function BuffeeStatusLine(node) {
   const $headCol = node.querySelector('.buffee-head-col');
   const $lineCounter = node.querySelector('.buffee-linecount');
   const $spaces = node.querySelector('.buffee-spaces');
+  const $diagnostics = node.querySelector('.buffee-diagnostics');
 
   const callbacks = {};
   if ($headRow) callbacks.row = frame => $headRow.innerHTML = frame.row + 1;
@@ -19,5 +20,10 @@ function BuffeeStatusLine(node) {
     $lineCounter.textContent = `${frame.lineCount.toLocaleString()}L, originally: ${buffee.Model.originalLineCount}L ${buffee.Model.byteCount} bytes`;
   };
   if ($spaces) callbacks.spaces = frame => $spaces.innerHTML = `Spaces: ${frame.spaces}`;
+  // frame.diagnostics is published by BuffeeDiagnostics
+  if ($diagnostics) callbacks.diagnostics = frame => {
+    const { error, warning } = frame.diagnostics || {};
+    $diagnostics.textContent = error || warning ? `${error} ✖ ${warning} ⚠` : '';
+  };
   return callbacks;
 }
\ No newline at end of file
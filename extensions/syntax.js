@@ -1,19 +1,25 @@
 /**
  * @fileoverview BuffeeSyntax - Regex-based syntax highlighting for Buffee.
  * Uses incremental tokenization with state caching for efficient updates.
- * @version 1.0.0
+ * @version 1.7.1
  */
 
 /**
  * Decorator: adds syntax highlighting to a Buffee instance.
  *
  * @param {Buffee} editor - The Buffee instance to extend
+ * @param {Object} [options] - Syntax options
+ * @param {boolean} [options.autoDetect=false] - Detect the language whenever the document is replaced.
+ *   Loaders that replace it with an empty document and append chunks are detected again at the first chunk.
+ * @param {number} [options.detectLines=20] - Leading lines that detection reads
  * @returns {Buffee} The extended editor instance
  * @example
- * const editor = BuffeeSyntax(Buffee(container, config));
+ * const editor = BuffeeSyntax(Buffee(container, config), { autoDetect: true });
+ * editor.Syntax.filename = file.name;
+ * editor.Model.text = await file.text();
  */
-function BuffeeSyntax(editor) {
-  const { $e, $textLayer, renderHooks, insert: _insert, delete: _delete } = editor._;
+function BuffeeSyntax(editor, { autoDetect = false, detectLines = 20 } = {}) {
+  const { $e, $textLayer, renderHooks, renderTokens } = editor._;
   const { Viewport, Model } = editor;
 
   // State cache: stateCache[lineIndex] = startState for that line
@@ -23,46 +29,44 @@ function BuffeeSyntax(editor) {
   // Current language definition
   let language = null;
   let enabled = false;
+  let filename = '';  // Name of the loaded file, read by autoDetect
+  let detectOnLoad = false; // Replaced with an empty document: detect again when lines are loaded
 
   // ============================================================================
-  // Hook into _insert/_delete to detect edits and invalidate state cache
+  // Listen for edits (including undo and redo) to invalidate state cache
   // ============================================================================
 
-  // Hook insert
-  editor._.insert = function(row, col, text) {
-    const result = _insert(row, col, text);
-    if (enabled) {
-      invalidateFrom(row);
+  editor.on('change', ({ row, origin }) => {
+    if (detectOnLoad && origin === 'load') {
+      detectOnLoad = false;
+      detect();
     }
-    return result;
-  };
-
-  // Hook delete
-  editor._.delete = function(row, col, text) {
-    _delete(row, col, text);
     if (enabled) {
       invalidateFrom(row);
     }
-  };
-
-  // Hook Model.text setter for bulk content changes
-  const textDescriptor = Object.getOwnPropertyDescriptor(Model, 'text') ||
-    { set: function(v) { this._text = v; }, get: function() { return this._text; } };
-  const originalTextSetter = textDescriptor.set;
+  });
 
-  Object.defineProperty(Model, 'text', {
-    set: function(text) {
-      originalTextSetter.call(this, text);
-      if (enabled) {
-        // Full document change - reset cache completely
-        stateCache.length = 1;
-        stateCache[0] = 0;
-      }
-    },
-    get: textDescriptor.get,
-    configurable: true
+  // Full document change (Model.text, file loads): reset the cache completely.
+  // Raised before Model.text renders, so the first frame uses the detected language.
+  editor.on('reset', () => {
+    if (autoDetect) {
+      detect();
+      // Streaming loaders assign Model.lines = [] and then append chunks
+      detectOnLoad = Model.lines.length <= 1 && !Model.lines[0];
+    }
+    invalidateFrom(0);
   });
 
+  /**
+   * Sets the language detected from the filename and the first lines.
+   * @private
+   */
+  function detect() {
+    const detected = detectLanguage({ filename, firstLines: Model.lines.slice(0, detectLines) });
+    language = detected ? languages[detected] : null;
+    invalidateFrom(0);
+  }
+
   // Built-in token types with default colors
   const defaultColors = {
     keyword: '#C678DD',
@@ -99,26 +103,101 @@ function BuffeeSyntax(editor) {
    * { pattern: /regex/, token: 'string', push: 1 }      // Push to state 1
    * { pattern: /regex/, token: 'string', pop: true }    // Pop back to state 0
    * { pattern: /regex/, token: 'comment', next: 2 }     // Switch to state 2
+   * { pattern: /<script[^>]*>/, token: 'tag', embed: 'javascript', until: /<\/script>/ }
+   *                                                     // Highlight as javascript until `until`
+   *                                                     // matches (with this token), then come back
+   * { pattern: /\$\{/, token: 'punctuation', embed: 'javascript', until: /\}/, nest: '{' }
+   *                                                     // `until` only ends the embed as a token the
+   *                                                     // inner language reaches in its base state
+   *                                                     // with no `nest` token left open
+   *
+   * `embed` may also be a function of the match returning a language name;
+   * if it returns no known language the rule's push/pop/next apply instead.
+   *
+   * `next` may also be a function of the match returning '<state>=<param>',
+   * to carry text from the match into the state, e.g. a heredoc delimiter:
+   * { pattern: /<<(\w+)/, token: 'operator', next: match => '3=' + match[1] }
+   * Rules of that state may then have a pattern function of the param:
+   * { pattern: delimiter => new RegExp(`^${delimiter}$`), token: 'operator', next: 0 }
+   *
+   * While embedded, a line's state is a composite string
+   * '<outer state>#<rule index>:<language>><inner state>', nesting as deep
+   * as embeds do, e.g. '0#1:html>0#4:javascript>1'. A `nest` rule with
+   * tokens still open at the end of the line adds their count after the
+   * language, e.g. '2#1:javascript+1>0'.
    */
 
   /**
-   * Tokenizes a single line starting from a given state.
-   * @param {string} text - Line text to tokenize
-   * @param {number} startState - State at start of line
-   * @returns {{ tokens: Array, endState: number }}
+   * Splits a composite state into the outer state, the embedding rule and
+   * the embedded language's state.
+   * @param {Object} lang - Outer language definition
+   * @param {string} state - Composite state
+   * @returns {{ head: string, outer: number|string, rule: Object, name: string, depth: number, inner: number|string }}
    */
-  function tokenizeLine(text, startState) {
-    if (!language) {
-      return { tokens: [{ text, type: 'default' }], endState: 0 };
+  function parseState(lang, state) {
+    const split = state.indexOf('>');
+    const [, head, outer, index, name, depth] = /^((.*)#(\d+):([^+]*))(?:\+(\d+))?$/.exec(state.slice(0, split));
+    const number = s => /^\d+$/.test(s) ? Number(s) : s;
+    return { head, outer: number(outer), rule: lang.states[outer].rules[index], name, depth: Number(depth || 0), inner: number(state.slice(split + 1)) };
+  }
+
+  /**
+   * Finds where an embed with a `nest` rule ends: the first `until` token
+   * the inner language reaches in its base state with no `nest` token open.
+   * `until` text inside a longer token, such as a string, never ends it.
+   * @param {Object} lang - Embedded language definition
+   * @param {Object} rule - Embedding rule
+   * @param {string} text - Line text
+   * @param {number} pos - Column the inner language starts at
+   * @param {number|string} state - Inner state at pos
+   * @param {number} depth - `nest` tokens open at pos
+   * @returns {{ end: Array|null, depth: number }} The `until` match, or null with the depth open at the end of text
+   */
+  function nestedEnd(lang, rule, text, pos, state, depth) {
+    const close = new RegExp(`^(?:${rule.until.source})$`, rule.until.flags.replace(/[gy]/g, ''));
+    const scratch = [];
+    tokenize(lang, text, pos, state, scratch);
+    let at = pos;
+    for (const token of scratch) {
+      const opens = token.text === rule.nest;
+      if ((opens || close.test(token.text)) && tokenize(lang, text.slice(0, at), pos, state, []) === 0) {
+        if (opens) depth++;
+        else if (depth-- === 0) return { end: Object.assign([token.text], { index: at }), depth: 0 };
+      }
+      at += token.text.length;
     }
+    return { end: null, depth };
+  }
 
-    const tokens = [];
-    let pos = 0;
-    let state = startState;
+  /**
+   * Tokenizes text from pos with a language's state machine.
+   * @param {Object} lang - Language definition
+   * @param {string} text - Line text, cut off where an enclosing embed ends
+   * @param {number} pos - Column to start at
+   * @param {number|string} state - State at pos
+   * @param {Array} tokens - Receives { text, type } tokens
+   * @returns {number|string} State at the end of text
+   */
+  function tokenize(lang, text, pos, state, tokens) {
     const stateStack = [];
 
     while (pos < text.length) {
-      const stateRules = language.states[state];
+      if (typeof state === 'string' && state.includes('>')) {
+        // Embedded: the inner language runs up to the next `until` match
+        const { head, outer, rule, name, depth, inner } = parseState(lang, state);
+        const until = new RegExp(rule.until.source, rule.until.flags.replace(/[gy]/g, '') + 'g');
+        until.lastIndex = pos;
+        const { end, depth: open } = rule.nest ? nestedEnd(languages[name], rule, text, pos, inner, depth) : { end: until.exec(text), depth: 0 };
+        const innerState = tokenize(languages[name], end ? text.slice(0, end.index) : text, pos, inner, tokens);
+        if (!end) return `${head}${open ? '+' + open : ''}>${innerState}`;
+        if (end[0].length) tokens.push({ text: end[0], type: rule.token || 'default' });
+        pos = end.index + end[0].length;
+        state = outer;
+        continue;
+      }
+
+      const [name, param] = typeof state === 'string' ? state.split('=') : [state];
+      const stateRules = lang.states[name];
       if (!stateRules) {
         // Unknown state, consume rest as default
         tokens.push({ text: text.slice(pos), type: 'default' });
@@ -127,9 +206,12 @@ function BuffeeSyntax(editor) {
 
       let matched = false;
 
-      for (const rule of stateRules.rules) {
+      for (let i = 0; i < stateRules.rules.length; i++) {
+        const rule = stateRules.rules[i];
+        const pattern = typeof rule.pattern === 'function' ? rule.pattern(param) : rule.pattern;
         // Create regex that matches at current position
-        const regex = new RegExp(rule.pattern.source, 'y');
+        // Keep the rule's flags (e.g. i), adding y to anchor at pos
+        const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '') + 'y');
         regex.lastIndex = pos;
         const match = regex.exec(text);
 
@@ -144,13 +226,16 @@ function BuffeeSyntax(editor) {
           }
 
           // Handle state transitions
-          if (rule.push !== undefined) {
+          const embed = typeof rule.embed === 'function' ? rule.embed(match) : rule.embed;
+          if (embed && languages[embed]) {
+            state = `${state}#${i}:${embed}>0`;
+          } else if (rule.push !== undefined) {
             stateStack.push(state);
             state = rule.push;
           } else if (rule.pop) {
             state = stateStack.pop() || 0;
           } else if (rule.next !== undefined) {
-            state = rule.next;
+            state = typeof rule.next === 'function' ? rule.next(match) : rule.next;
           }
 
           matched = true;
@@ -165,7 +250,23 @@ function BuffeeSyntax(editor) {
       }
     }
 
-    return { tokens, endState: state };
+    return state;
+  }
+
+  /**
+   * Tokenizes a single line starting from a given state.
+   * @param {string} text - Line text to tokenize
+   * @param {number|string} startState - State at start of line (a string while embedded)
+   * @returns {{ tokens: Array, endState: number|string }}
+   */
+  function tokenizeLine(text, startState) {
+    if (!language) {
+      return { tokens: [{ text, type: 'default' }], endState: 0 };
+    }
+
+    const tokens = [];
+    const endState = tokenize(language, text, 0, startState, tokens);
+    return { tokens, endState };
   }
 
   /**
@@ -224,29 +325,14 @@ function BuffeeSyntax(editor) {
   }
 
   /**
-   * Escapes HTML special characters.
-   */
-  function escapeHtml(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-  }
-
-  /**
-   * Renders highlighted tokens as HTML.
+   * Maps tokenizer output to editor._.renderTokens tokens: default text
+   * stays plain, other types get their table color.
    * @param {Array} tokens - Array of { text, type }
-   * @returns {string} HTML string
+   * @returns {Array<{text: string, color?: string}>}
    */
-  function renderTokens(tokens) {
-    return tokens.map(({ text, type }) => {
-      const color = colors[type] || colors.default;
-      const escaped = escapeHtml(text);
-      if (type === 'default') {
-        return escaped;
-      }
-      return `<span style="color:${color}">${escaped}</span>`;
-    }).join('');
+  function colorTokens(tokens) {
+    return tokens.map(({ text, type }) =>
+      type === 'default' ? { text } : { text, color: colors[type] || colors.default });
   }
 
   /**
@@ -272,8 +358,7 @@ function BuffeeSyntax(editor) {
       const startState = stateCache[absLine] || 0;
       const { tokens } = tokenizeLine(text, startState);
 
-      // Replace textContent with innerHTML
-      lineEl.innerHTML = renderTokens(tokens);
+      renderTokens(lineEl, colorTokens(tokens));
     }
   }
 
@@ -284,6 +369,35 @@ function BuffeeSyntax(editor) {
   // Built-in language definitions
   // ============================================================================
 
+  // Shell rules shared by the normal and heredoc states
+  const shellRules = [
+    // Comments (# starts a word)
+    { pattern: /(?<!\S)#.*/, token: 'comment' },
+    // Strings, which may span lines
+    { pattern: /"/, token: 'string', push: 1 },
+    { pattern: /'/, token: 'string', push: 2 },
+    // Variables
+    { pattern: /\$\{[^}]*\}|\$[a-zA-Z_][a-zA-Z0-9_]*|\$[0-9#?@*$!-]/, token: 'variable' },
+    // Keywords
+    { pattern: /\b(?:case|coproc|do|done|elif|else|esac|fi|for|function|if|in|select|then|time|until|while)\b/, token: 'keyword' },
+    // Builtins
+    { pattern: /\b(?:alias|break|cd|continue|declare|echo|eval|exec|exit|export|local|printf|pwd|read|readonly|return|set|shift|source|test|trap|typeset|unset)\b/, token: 'function' },
+    // Assignments
+    { pattern: /[a-zA-Z_][a-zA-Z0-9_]*(?==)/, token: 'variable' },
+    // Options
+    { pattern: /(?<!\S)--?[a-zA-Z0-9][\w-]*/, token: 'attribute' },
+    // Numbers
+    { pattern: /\b\d+\b/, token: 'number' },
+    // Words
+    { pattern: /[a-zA-Z_][\w.\/-]*/, token: 'default' },
+    // Operators
+    { pattern: /[|&;<>=!]+/, token: 'operator' },
+    // Punctuation
+    { pattern: /[(){}[\]]/, token: 'punctuation' },
+    // Whitespace
+    { pattern: /\s+/, token: 'default' }
+  ];
+
   const languages = {
     javascript: {
       name: 'javascript',
@@ -298,8 +412,7 @@ function BuffeeSyntax(editor) {
             // Strings
             { pattern: /"(?:[^"\\]|\\.)*"/, token: 'string' },
             { pattern: /'(?:[^'\\]|\\.)*'/, token: 'string' },
-            { pattern: /`(?:[^`\\]|\\.)*`/, token: 'string' },
-            // Template literal start (multiline)
+            // Template literals, with ${} expressions, may span lines
             { pattern: /`/, token: 'string', next: 2 },
             // Regex
             { pattern: /\/(?:[^\/\\]|\\.)+\/[gimsuy]*/, token: 'regex' },
@@ -338,25 +451,10 @@ function BuffeeSyntax(editor) {
           name: 'template-literal',
           rules: [
             { pattern: /`/, token: 'string', next: 0 },
-            { pattern: /\$\{/, token: 'punctuation', push: 3 },
+            { pattern: /\$\{/, token: 'punctuation', embed: 'javascript', until: /\}/, nest: '{' },
             { pattern: /(?:[^`$\\]|\\.)+/, token: 'string' },
             { pattern: /\$/, token: 'string' }
           ]
-        },
-        3: {
-          name: 'template-expression',
-          rules: [
-            { pattern: /\}/, token: 'punctuation', pop: true },
-            // Include all normal rules for expressions
-            { pattern: /"(?:[^"\\]|\\.)*"/, token: 'string' },
-            { pattern: /'(?:[^'\\]|\\.)*'/, token: 'string' },
-            { pattern: /\d+\.?\d*/, token: 'number' },
-            { pattern: /\b(?:true|false|null|undefined)\b/, token: 'constant' },
-            { pattern: /[a-zA-Z_$][a-zA-Z0-9_$]*/, token: 'variable' },
-            { pattern: /[+\-*/%=<>!&|^~?:]+/, token: 'operator' },
-            { pattern: /[{}[\]();,.]/, token: 'punctuation' },
-            { pattern: /\s+/, token: 'default' }
-          ]
         }
       }
     },
@@ -371,10 +469,9 @@ function BuffeeSyntax(editor) {
             { pattern: /<!--/, token: 'comment', next: 1 },
             // Doctype
             { pattern: /<!DOCTYPE[^>]*>/i, token: 'keyword' },
-            // Script tag - switch to JS mode
-            { pattern: /<script\b[^>]*>/, token: 'tag', next: 3 },
-            // Style tag
-            { pattern: /<style\b[^>]*>/, token: 'tag', next: 4 },
+            // Script and style contents use the javascript and css definitions
+            { pattern: /<script\b[^>]*>/, token: 'tag', embed: 'javascript', until: /<\/script>/ },
+            { pattern: /<style\b[^>]*>/, token: 'tag', embed: 'css', until: /<\/style>/ },
             // Closing tags
             { pattern: /<\/[a-zA-Z][a-zA-Z0-9-]*>/, token: 'tag' },
             // Opening tags
@@ -404,43 +501,6 @@ function BuffeeSyntax(editor) {
             { pattern: /=/, token: 'operator' },
             { pattern: /\s+/, token: 'default' }
           ]
-        },
-        3: {
-          name: 'script',
-          rules: [
-            { pattern: /<\/script>/, token: 'tag', next: 0 },
-            // Simplified JS highlighting within script
-            { pattern: /\/\/.*/, token: 'comment' },
-            { pattern: /"(?:[^"\\]|\\.)*"/, token: 'string' },
-            { pattern: /'(?:[^'\\]|\\.)*'/, token: 'string' },
-            { pattern: /\b(?:function|var|let|const|if|else|for|while|return|class|import|export|from|async|await)\b/, token: 'keyword' },
-            { pattern: /\b(?:true|false|null|undefined)\b/, token: 'constant' },
-            { pattern: /\d+\.?\d*/, token: 'number' },
-            { pattern: /[a-zA-Z_$][a-zA-Z0-9_$]*/, token: 'variable' },
-            { pattern: /[^<]+/, token: 'default' }
-          ]
-        },
-        4: {
-          name: 'style',
-          rules: [
-            { pattern: /<\/style>/, token: 'tag', next: 0 },
-            // Simplified CSS highlighting
-            { pattern: /\/\*/, token: 'comment', next: 5 },
-            { pattern: /"[^"]*"/, token: 'string' },
-            { pattern: /'[^']*'/, token: 'string' },
-            { pattern: /#[0-9a-fA-F]{3,8}/, token: 'number' },
-            { pattern: /\d+(?:px|em|rem|%|vh|vw)?/, token: 'number' },
-            { pattern: /[a-zA-Z-]+(?=\s*:)/, token: 'attribute' },
-            { pattern: /[^<]+/, token: 'default' }
-          ]
-        },
-        5: {
-          name: 'css-comment',
-          rules: [
-            { pattern: /\*\//, token: 'comment', next: 4 },
-            { pattern: /[^*]+/, token: 'comment' },
-            { pattern: /\*/, token: 'comment' }
-          ]
         }
       }
     },
@@ -573,9 +633,367 @@ function BuffeeSyntax(editor) {
           ]
         }
       }
+    },
+
+    markdown: {
+      name: 'markdown',
+      states: {
+        0: {
+          name: 'normal',
+          rules: [
+            // Fenced code blocks, closed by the same fence character. A known
+            // info string (```js) highlights the block in that language
+            { pattern: /^\s{0,3}```\s*([\w+#.-]*).*/, token: 'keyword', embed: match => resolveLanguage(match[1]), until: /^\s{0,3}```\s*$/, next: 1 },
+            { pattern: /^\s{0,3}~~~\s*([\w+#.-]*).*/, token: 'keyword', embed: match => resolveLanguage(match[1]), until: /^\s{0,3}~~~\s*$/, next: 2 },
+            // HTML comments
+            { pattern: /<!--/, token: 'comment', next: 3 },
+            // Headings
+            { pattern: /^\s{0,3}#{1,6}(?=\s|$).*/, token: 'keyword' },
+            // Blockquotes
+            { pattern: /^\s*>.*/, token: 'comment' },
+            // Horizontal rules
+            { pattern: /^\s{0,3}(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/, token: 'punctuation' },
+            // List markers
+            { pattern: /^\s*(?:[-*+]|\d+[.)])(?=\s)/, token: 'operator' },
+            // Inline code
+            { pattern: /`[^`]+`/, token: 'string' },
+            // Bold, then italic
+            { pattern: /\*\*[^*]+\*\*|__[^_]+__/, token: 'type' },
+            { pattern: /\*[^*\s][^*]*\*|\b_[^_\s][^_]*_\b/, token: 'variable' },
+            // Links and images: [text](url "title")
+            { pattern: /!?\[[^\]]*\](?=\()/, token: 'function' },
+            { pattern: /(?<=\])\([^)]*\)/, token: 'attribute' },
+            // Inline HTML
+            { pattern: /<\/?[a-zA-Z][^>]*>/, token: 'tag' },
+            // Escapes
+            { pattern: /\\./, token: 'default' },
+            // Text
+            { pattern: /[^`*_\[\]!<\\]+/, token: 'default' }
+          ]
+        },
+        1: {
+          name: 'backtick-fence',
+          rules: [
+            { pattern: /^\s{0,3}```\s*$/, token: 'keyword', next: 0 },
+            { pattern: /.+/, token: 'string' }
+          ]
+        },
+        2: {
+          name: 'tilde-fence',
+          rules: [
+            { pattern: /^\s{0,3}~~~\s*$/, token: 'keyword', next: 0 },
+            { pattern: /.+/, token: 'string' }
+          ]
+        },
+        3: {
+          name: 'comment',
+          rules: [
+            { pattern: /-->/, token: 'comment', next: 0 },
+            { pattern: /[^-]+/, token: 'comment' },
+            { pattern: /-/, token: 'comment' }
+          ]
+        }
+      }
+    },
+
+    shell: {
+      name: 'shell',
+      states: {
+        0: {
+          name: 'normal',
+          rules: [
+            // Heredoc: the body starts on the next line, and its state carries the delimiter
+            { pattern: /<<-?\s*(['"]?)([A-Za-z_][A-Za-z0-9_]*)\1/, token: 'operator', next: match => '3=' + match[2] },
+            ...shellRules
+          ]
+        },
+        1: {
+          name: 'double-string',
+          rules: [
+            { pattern: /"/, token: 'string', pop: true },
+            { pattern: /\\./, token: 'string' },
+            { pattern: /\$\{[^}]*\}|\$[a-zA-Z_][a-zA-Z0-9_]*|\$[0-9#?@*$!-]/, token: 'variable' },
+            { pattern: /[^"\\$]+/, token: 'string' },
+            { pattern: /\$/, token: 'string' }
+          ]
+        },
+        2: {
+          name: 'single-string',
+          rules: [
+            { pattern: /'/, token: 'string', pop: true },
+            { pattern: /[^']+/, token: 'string' }
+          ]
+        },
+        3: {
+          // Rest of the opening line is shell; each later line is body until
+          // a line holding only the delimiter the heredoc opened with
+          name: 'heredoc',
+          rules: [
+            { pattern: delimiter => new RegExp(`^\\s*${delimiter}\\s*$`), token: 'operator', next: 0 },
+            { pattern: /^.*/, token: 'string' },
+            ...shellRules
+          ]
+        }
+      }
+    },
+
+    sql: {
+      name: 'sql',
+      states: {
+        0: {
+          name: 'normal',
+          rules: [
+            // Comments
+            { pattern: /--.*/, token: 'comment' },
+            { pattern: /\/\*/, token: 'comment', next: 1 },
+            // Strings ('' escapes a quote); an unclosed one continues on the next line
+            { pattern: /'(?:[^']|'')*'(?!')/, token: 'string' },
+            { pattern: /'/, token: 'string', next: 2 },
+            // Quoted identifiers
+            { pattern: /"(?:[^"]|"")*"(?!")|`[^`]*`|\[[^\]]*\]/, token: 'variable' },
+            // Numbers
+            { pattern: /\d+\.?\d*(?:[eE][+-]?\d+)?/, token: 'number' },
+            // Keywords
+            { pattern: /\b(?:add|all|alter|and|any|as|asc|begin|between|by|cascade|case|check|column|commit|constraint|create|cross|database|default|delete|desc|distinct|drop|else|end|except|exists|foreign|from|full|grant|group|having|if|in|index|inner|insert|intersect|into|is|join|key|left|like|limit|not|offset|on|or|order|outer|over|partition|primary|procedure|references|replace|returning|revoke|right|rollback|select|set|table|then|transaction|trigger|truncate|union|unique|update|using|values|view|when|where|with)\b/i, token: 'keyword' },
+            // Constants
+            { pattern: /\b(?:null|true|false)\b/i, token: 'constant' },
+            // Types
+            { pattern: /\b(?:bigint|binary|bit|blob|boolean|char|date|datetime|decimal|double|float|int|integer|interval|json|jsonb|numeric|real|serial|smallint|text|time|timestamp|uuid|varchar)\b/i, token: 'type' },
+            // Function calls
+            { pattern: /\b[a-zA-Z_][a-zA-Z0-9_]*(?=\s*\()/, token: 'function' },
+            // Parameters (@name, :name, $1, ?)
+            { pattern: /[@:][a-zA-Z_][a-zA-Z0-9_]*|\$\d+|\?/, token: 'variable' },
+            // Identifiers
+            { pattern: /[a-zA-Z_][a-zA-Z0-9_$]*/, token: 'default' },
+            // Operators
+            { pattern: /[+\-*/%=<>!|&^~]+/, token: 'operator' },
+            // Punctuation
+            { pattern: /[(),;.]/, token: 'punctuation' },
+            // Whitespace
+            { pattern: /\s+/, token: 'default' }
+          ]
+        },
+        1: {
+          name: 'block-comment',
+          rules: [
+            { pattern: /\*\//, token: 'comment', next: 0 },
+            { pattern: /[^*]+/, token: 'comment' },
+            { pattern: /\*/, token: 'comment' }
+          ]
+        },
+        2: {
+          name: 'string',
+          rules: [
+            { pattern: /[^']+|''/, token: 'string' },
+            { pattern: /'/, token: 'string', next: 0 }
+          ]
+        }
+      }
+    },
+
+    yaml: {
+      name: 'yaml',
+      states: {
+        0: {
+          name: 'normal',
+          rules: [
+            // Comments
+            { pattern: /(?<!\S)#.*/, token: 'comment' },
+            // Document markers
+            { pattern: /^(?:---|\.\.\.)(?=\s|$)/, token: 'keyword' },
+            // Sequence entries
+            { pattern: /-(?=\s|$)/, token: 'punctuation' },
+            // Keys
+            { pattern: /(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'(?!')|[^\s#'"{}[\],:&*!|>%@`][^#:{}[\],]*?)(?=\s*:(?:\s|$))/, token: 'attribute' },
+            // Strings
+            { pattern: /"(?:[^"\\]|\\.)*"/, token: 'string' },
+            { pattern: /'(?:[^']|'')*'(?!')/, token: 'string' },
+            // Anchors, aliases and tags
+            { pattern: /[&*][^\s,[\]{}]+/, token: 'variable' },
+            { pattern: /![^\s,[\]{}]*/, token: 'type' },
+            // Block scalar indicators
+            { pattern: /[|>][-+0-9]*(?=\s*(?:#.*)?$)/, token: 'operator' },
+            // Scalars that end the value
+            { pattern: /(?:true|false|yes|no|on|off|null|~)(?=\s*(?:#.*)?$|\s*[,\]}])/i, token: 'constant' },
+            { pattern: /[-+]?(?:0x[0-9a-fA-F]+|0o[0-7]+|\.inf|\.nan|\d+\.?\d*(?:[eE][-+]?\d+)?)(?=\s*(?:#.*)?$|\s*[,\]}])/i, token: 'number' },
+            // Punctuation
+            { pattern: /[:,[\]{}?]/, token: 'punctuation' },
+            // Plain scalars
+            { pattern: /[^\s,[\]{}#]+/, token: 'default' },
+            // Whitespace
+            { pattern: /\s+/, token: 'default' }
+          ]
+        }
+      }
+    },
+
+    diff: {
+      name: 'diff',
+      states: {
+        0: {
+          name: 'normal',
+          rules: [
+            // File headers
+            { pattern: /^(?:diff|index|similarity index|rename from|rename to|new file mode|deleted file mode|old mode|new mode|Binary files)\b.*/, token: 'keyword' },
+            { pattern: /^(?:---|\+\+\+)(?=\s).*/, token: 'type' },
+            // Hunk headers
+            { pattern: /^@@.*?@@/, token: 'function' },
+            // Added, removed and context lines
+            { pattern: /^\+.*/, token: 'string' },
+            { pattern: /^-.*/, token: 'variable' },
+            { pattern: /^\\.*/, token: 'comment' },
+            { pattern: /.+/, token: 'default' }
+          ]
+        }
+      }
+    }
+  };
+
+  // TypeScript: JavaScript plus type syntax
+  languages.typescript = {
+    name: 'typescript',
+    states: {
+      ...languages.javascript.states,
+      0: {
+        name: 'normal',
+        rules: [
+          // Decorators
+          { pattern: /@[a-zA-Z_$][a-zA-Z0-9_$]*/, token: 'keyword' },
+          // Type-level keywords
+          { pattern: /\b(?:abstract|as|asserts|declare|enum|implements|infer|interface|is|keyof|module|namespace|override|private|protected|public|readonly|satisfies|type|unique)\b/, token: 'keyword' },
+          // Primitive types
+          { pattern: /\b(?:any|bigint|boolean|never|number|object|string|symbol|unknown|void)\b/, token: 'type' },
+          ...languages.javascript.states[0].rules.filter(rule => rule.token !== 'variable'),
+          // Capitalized identifiers are usually types
+          { pattern: /[A-Z][a-zA-Z0-9_$]*/, token: 'type' },
+          { pattern: /[a-zA-Z_$][a-zA-Z0-9_$]*/, token: 'variable' }
+        ]
+      },
+      2: {
+        // Template expressions are TypeScript too
+        ...languages.javascript.states[2],
+        rules: languages.javascript.states[2].rules.map(rule => rule.embed ? { ...rule, embed: 'typescript' } : rule)
+      }
     }
   };
 
+  // ============================================================================
+  // Language detection
+  // ============================================================================
+
+  // File extensions and well-known file names
+  const fileLanguages = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'typescript', mts: 'typescript', cts: 'typescript', tsx: 'typescript',
+    html: 'html', htm: 'html', xhtml: 'html',
+    css: 'css',
+    json: 'json', jsonc: 'json', webmanifest: 'json',
+    py: 'python', pyw: 'python', pyi: 'python',
+    md: 'markdown', markdown: 'markdown', mdown: 'markdown',
+    sh: 'shell', bash: 'shell', zsh: 'shell', ksh: 'shell',
+    '.bashrc': 'shell', '.bash_profile': 'shell', '.profile': 'shell', '.zshrc': 'shell',
+    sql: 'sql',
+    yml: 'yaml', yaml: 'yaml',
+    diff: 'diff', patch: 'diff'
+  };
+
+  // Interpreter, modeline and alias names (lowercase, version digits removed)
+  const languageAliases = {
+    node: 'javascript', nodejs: 'javascript', deno: 'javascript', bun: 'javascript', js: 'javascript', js2: 'javascript',
+    'ts-node': 'typescript', tsx: 'typescript', ts: 'typescript',
+    py: 'python', pypy: 'python',
+    sh: 'shell', bash: 'shell', zsh: 'shell', ksh: 'shell', dash: 'shell', ash: 'shell', 'shell-script': 'shell',
+    md: 'markdown', gfm: 'markdown',
+    yml: 'yaml',
+    mysql: 'sql', pgsql: 'sql', plsql: 'sql', sqlite: 'sql',
+    patch: 'diff',
+    htm: 'html', xhtml: 'html'
+  };
+
+  // Content heuristics, most distinctive first
+  const contentHeuristics = [
+    ['diff', /^diff --git |^--- \S.*\n\+\+\+ \S|^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/m],
+    ['html', /^\s*<!doctype html|<html[\s>]|^\s*<(?:head|body)[\s>]/i],
+    ['json', /^\s*(?:\{\s*(?:"|$)|\[\s*(?:[{["\d]|$))/],
+    ['python', /^\s*(?:def \w+\(|class \w+(?:\(.*\))?:\s*$|from [\w.]+ import |import [\w.]+\s*$|if __name__ == )/m],
+    ['typescript', /^\s*(?:export\s+)?(?:interface \w+|type \w+(?:<.*>)?\s*=|enum \w+\s*\{)|^\s*(?:import|export) type |\b(?:const|let|var)\s+\w+\s*:\s*\w+(?:<.*>)?(?:\[\])?\s*=/m],
+    ['javascript', /^\s*(?:(?:import|export)\b.*(?:from\s*['"]|[{*])|(?:const|let|var) \w+\s*=|(?:async\s+)?function\b|module\.exports\b)|\brequire\(['"]/m],
+    ['sql', /^\s*(?:select\b[^;]*?\bfrom\b|insert\s+into|update\s+\w+\s+set|delete\s+from|create\s+(?:or\s+replace\s+)?(?:table|index|view|function)|alter\s+table|drop\s+table|with\s+\w+\s+as\s*\()/im],
+    ['css', /^\s*@(?:media|import|keyframes|font-face|charset)\b|^[^\s{:;][^{;]*\{\s*\n\s*[\w-]+\s*:[^;{]+;/m],
+    ['shell', /^\s*(?:if \[|fi\s*$|for \w+ in |export \w+=|echo |set -[euxo]+\b)/m],
+    ['yaml', /^---\s*$|^(?:\s*(?:- )?[\w.-]+:(?:\s+[^{;]*)?\n){2}/m],
+    ['markdown', /^#{1,6} \S|^```|\[[^\]\n]+\]\([^)\n]+\)/m]
+  ];
+
+  /**
+   * Resolves a modeline, interpreter or alias name to a built-in language.
+   * @param {string} name - e.g. 'python3.11', 'bash', 'shell-script-mode'
+   * @returns {string|null}
+   */
+  function resolveLanguage(name) {
+    name = name.toLowerCase().replace(/-mode$/, '').replace(/[\d.]+$/, '');
+    name = languageAliases[name] || name;
+    return languages[name] ? name : null;
+  }
+
+  /**
+   * Reads an explicit language from a vim or Emacs modeline.
+   * @param {string[]} lines
+   * @returns {string|null}
+   */
+  function fromModeline(lines) {
+    for (const line of lines) {
+      const vim = /\b(?:vim?|ex):.*?\b(?:ft|filetype|syn|syntax)=([\w+-]+)/.exec(line);
+      const emacs = /-\*-\s*(?:.*?\bmode:\s*([\w+-]+)|([\w+-]+)\s*-\*-)/i.exec(line);
+      const name = vim ? vim[1] : emacs && (emacs[1] || emacs[2]);
+      if (name) return resolveLanguage(name);
+    }
+    return null;
+  }
+
+  /**
+   * Reads the interpreter from a shebang line, looking through env.
+   * @param {string} line - First line of the file
+   * @returns {string|null}
+   */
+  function fromShebang(line) {
+    const match = /^#!\s*(\S+)(.*)/.exec(line || '');
+    if (!match) return null;
+    let program = match[1].split('/').pop();
+    if (program === 'env') {
+      program = match[2].trim().split(/\s+/).find(arg => arg && !arg.startsWith('-') && !arg.includes('=')) || '';
+    }
+    return program && resolveLanguage(program);
+  }
+
+  /**
+   * Looks up a file name's extension, or the whole name for dotfiles.
+   * @param {string} filename
+   * @returns {string|null}
+   */
+  function fromFilename(filename) {
+    const base = filename.split(/[\\/]/).pop().toLowerCase();
+    const language = fileLanguages[base] || fileLanguages[base.slice(base.lastIndexOf('.') + 1)];
+    return language && languages[language] ? language : null;
+  }
+
+  /**
+   * Detects a language from a file name and the first lines of a file.
+   * A modeline wins, then the file extension, then a shebang, then content
+   * heuristics.
+   * @param {Object} [source]
+   * @param {string} [source.filename] - File name or path
+   * @param {string[]} [source.firstLines] - Leading lines (default: the first detectLines of Model.lines)
+   * @returns {string|null} Built-in language name, or null if nothing matched
+   */
+  function detectLanguage({ filename, firstLines = Model.lines.slice(0, detectLines) } = {}) {
+    const head = firstLines.join('\n');
+    return fromModeline(firstLines)
+      || (filename && fromFilename(filename))
+      || fromShebang(firstLines[0])
+      || (contentHeuristics.find(([language, pattern]) => languages[language] && pattern.test(head)) || [null])[0];
+  }
+
   // ============================================================================
   // Public API
   // ============================================================================
@@ -597,6 +1015,7 @@ function BuffeeSyntax(editor) {
      * @param {string|Object} lang - Language name or custom language definition
      */
     setLanguage(lang) {
+      detectOnLoad = false;
       if (typeof lang === 'string') {
         language = languages[lang] || null;
       } else {
@@ -605,6 +1024,41 @@ function BuffeeSyntax(editor) {
       invalidateFrom(0);
     },
 
+    /**
+     * Name of the current language, or null.
+     * @type {string|null}
+     */
+    get language() {
+      return language && language.name || null;
+    },
+
+    /**
+     * Detects a language from a file name and leading lines: modeline
+     * (vim ft=, Emacs -*- mode -*-), file extension, shebang, then content
+     * heuristics. Does not change the current language.
+     * @param {Object} [source]
+     * @param {string} [source.filename] - File name or path
+     * @param {string[]} [source.firstLines] - Leading lines (default: the first detectLines of Model.lines)
+     * @returns {string|null} Language name for setLanguage, or null
+     */
+    detectLanguage,
+
+    /**
+     * Whether replacing Model.text sets the language from detectLanguage,
+     * using filename and the new text. Undetected text turns highlighting off.
+     * @type {boolean}
+     */
+    get autoDetect() { return autoDetect; },
+    set autoDetect(value) { autoDetect = !!value; },
+
+    /**
+     * File name passed to detection when autoDetect applies. Set it before
+     * loading a file, e.g. from BuffeeFileLoader's File.
+     * @type {string}
+     */
+    get filename() { return filename; },
+    set filename(value) { filename = value || ''; },
+
     /**
      * Gets available built-in language names.
      * @returns {string[]}
@@ -650,8 +1104,9 @@ function BuffeeSyntax(editor) {
     },
 
     /**
-     * Gets the current state cache (for debugging).
-     * @returns {number[]}
+     * Gets the current state cache (for debugging). Lines that start
+     * inside an embedded language hold composite string states.
+     * @returns {Array<number|string>}
      */
     get stateCache() {
       return [...stateCache];
@@ -669,7 +1124,7 @@ function BuffeeSyntax(editor) {
     /**
      * Gets token information for a specific line.
      * @param {number} lineIndex - Absolute line index
-     * @returns {{ tokens: Array, startState: number, endState: number }}
+     * @returns {{ tokens: Array, startState: number|string, endState: number|string }}
      */
     getLineTokens(lineIndex) {
       ensureStateCache(lineIndex);
@@ -681,8 +1136,8 @@ function BuffeeSyntax(editor) {
     /**
      * Tokenizes a single line of text.
      * @param {string} text - Line text to tokenize
-     * @param {number} startState - Starting state (0 = normal)
-     * @returns {{ tokens: Array, endState: number }}
+     * @param {number|string} startState - Starting state (0 = normal)
+     * @returns {{ tokens: Array, endState: number|string }}
      */
     tokenizeLine: function(text, startState) {
       return tokenizeLine(text, startState);
@@ -1,7 +1,9 @@
 /**
  * @fileoverview BuffeeTreeSitter - Tree-sitter syntax highlighting extension for Buffee.
- * Provides syntax highlighting using Tree-sitter parsers.
- * @version 1.0.0
+ * Provides syntax highlighting using Tree-sitter parsers. Every edit the editor
+ * reports as a 'change' event is passed to tree.edit(), so reparsing reuses the
+ * old tree, and captures are queried for the viewport rows only.
+ * @version 1.4.0
  */
 
 /**
@@ -11,13 +13,14 @@
  * @param {Object} options - Tree-sitter configuration
  * @param {Object} options.parser - Tree-sitter parser instance
  * @param {Object} options.query - Tree-sitter query for capturing syntax nodes
+ * @param {Object} [options.colors] - Capture name to color overrides (see setColors)
  * @returns {Buffee} The extended editor instance
  * @example
  * const editor = BuffeeTreeSitter(Buffee(container, config), { parser, query });
  * editor.TreeSitter.enabled = true;
  */
-function BuffeeTreeSitter(editor, { parser, query }) {
-  const { $e, render, renderHooks } = editor._;
+function BuffeeTreeSitter(editor, { parser, query, colors: customColors }) {
+  const { $textLayer, render, renderHooks, renderTokens } = editor._;
   const { Viewport, Model } = editor;
 
   /** @type {boolean} */
@@ -26,27 +29,140 @@ function BuffeeTreeSitter(editor, { parser, query }) {
   let dirty = false;
   /** @type {Object|null} Current parse tree */
   let tree = null;
-  /** @type {Array} Current captures from query */
+  /** @type {Array} Current captures from query, for the rows in capturedRange */
   let captures = [];
+  /** @type {{start: number, end: number}|null} Rows captures were queried for (null = stale) */
+  let capturedRange = null;
+
+  // Capture name to color, with the same keys and palette as BuffeeSyntax.setColors
+  const defaultColors = {
+    keyword: '#C678DD',
+    string: '#98C379',
+    comment: '#5C6370',
+    number: '#D19A66',
+    operator: '#56B6C2',
+    function: '#61AFEF',
+    type: '#E5C07B',
+    variable: '#E06C75',
+    punctuation: '#ABB2BF',
+    regex: '#98C379',
+    constant: '#D19A66',
+    attribute: '#D19A66',
+    tag: '#E06C75',
+    default: '#ABB2BF'
+  };
+
+  let colors = { ...defaultColors, ...customColors };
+
+  // Offsets of line starts, valid for rows below offsetsValid
+  const lineOffsets = [0];
+  let offsetsValid = 1;
+
+  /**
+   * Offset of a position from the start of the document.
+   * web-tree-sitter parses JS strings as UTF-16, so its "byte" indices
+   * and point columns are UTF-16 code units, the same as string indices.
+   * @private
+   */
+  function offsetOf(row, col) {
+    for (; offsetsValid <= row; offsetsValid++) {
+      lineOffsets[offsetsValid] = lineOffsets[offsetsValid - 1] + Model.lines[offsetsValid - 1].length + 1;
+    }
+    return lineOffsets[row] + col;
+  }
+
+  /**
+   * End point of text placed at (row, col).
+   * @private
+   */
+  function endPosition(row, col, text) {
+    const lines = text.split('\n');
+    return lines.length === 1
+      ? { row, column: col + text.length }
+      : { row: row + lines.length - 1, column: lines[lines.length - 1].length };
+  }
+
+  /**
+   * Passes a primitive edit to tree.edit() and schedules an incremental reparse.
+   * Runs after the edit is applied: offsetOf reads only the rows above it, which it doesn't change.
+   * @private
+   */
+  function editTree(row, col, text, isInsert) {
+    const startIndex = offsetOf(row, col);
+    offsetsValid = Math.min(offsetsValid, row + 1);
+    if (!tree) return;
+    const startPosition = { row, column: col };
+    const end = endPosition(row, col, text);
+    tree.edit({
+      startIndex,
+      oldEndIndex: isInsert ? startIndex : startIndex + text.length,
+      newEndIndex: isInsert ? startIndex + text.length : startIndex,
+      startPosition,
+      oldEndPosition: isInsert ? startPosition : end,
+      newEndPosition: isInsert ? end : startPosition
+    });
+    dirty = true;
+  }
+
+  editor.on('change', ({ row, col, removedText, insertedText }) => {
+    if (removedText) editTree(row, col, removedText, false);
+    if (insertedText) editTree(row, col, insertedText, true);
+  });
+
+  // A replaced document can't be edited into shape from the old tree
+  editor.on('reset', markDirty);
 
   /**
    * Marks syntax highlighting as dirty, will be re-parsed on next frame.
+   * Drops the old tree, so use it after changes that raise no 'change' event.
    */
   function markDirty() {
+    tree = null;
+    offsetsValid = 1;
     dirty = true;
   }
 
+  /**
+   * Reads the document for the parser a line at a time, instead of joining it into one string.
+   * @private
+   */
+  function input(index, position) {
+    const line = Model.lines[position.row];
+    if (line === undefined) return undefined;
+    return line.slice(position.column) + (position.row < Model.lastIndex ? '\n' : '');
+  }
+
+  /**
+   * Parses the document, reusing the edited old tree when there is one.
+   * @private
+   */
+  function parse() {
+    dirty = false;
+    tree = parser.parse(input, tree);
+    capturedRange = null;
+  }
+
+  /**
+   * Queries captures for the viewport rows, unless they are already current.
+   * @private
+   */
+  function captureViewport(viewport) {
+    const start = viewport.start, end = viewport.start + viewport.size;
+    if (capturedRange && capturedRange.start === start && capturedRange.end === end) return;
+    captures = query.captures(tree.rootNode, {
+      startPosition: { row: start, column: 0 },
+      endPosition: { row: end, column: 0 }
+    });
+    capturedRange = { start, end };
+  }
+
   /**
    * Render loop - runs at 60fps, re-parses and renders if dirty.
    * @private
    */
   function renderLoop() {
     if (dirty && enabled) {
-      dirty = false;
-      // Re-parse the document
-      const text = Model.lines.join("\n");
-      tree = parser.parse(text);
-      captures = query.captures(tree.rootNode);
+      parse();
       render(false);
     }
     requestAnimationFrame(renderLoop);
@@ -55,62 +171,83 @@ function BuffeeTreeSitter(editor, { parser, query }) {
   requestAnimationFrame(renderLoop);
 
   /**
-   * Applies syntax highlighting to a viewport line.
+   * Splits a line into tokens by capture name. Every capture touching the row
+   * applies: smaller ranges (nested captures) paint over the ones around them,
+   * and for equal ranges the earlier capture wins. A capture spanning rows
+   * covers its part of this row.
    * @private
-   * @param {HTMLElement} $line - The line element
-   * @param {number} absoluteRow - The absolute row number in the document
-   * @param {number} startIndex - Starting index in captures array for optimization
-   * @returns {number} The index where we stopped searching (for optimization)
+   * @param {string} text - Line text
+   * @param {number} row - Absolute row of the line
+   * @param {Array} rowCaptures - Captures touching the row, in query order
+   * @returns {Array<{text: string, type: string}>} Tokens, type 'default' outside captures
    */
-  function highlightLine($line, absoluteRow, startIndex) {
-    for (let j = startIndex; j < captures.length; j++) {
-      const capture = captures[j];
-      const startPosition = capture.node.startPosition;
-
-      if (startPosition.row === absoluteRow) {
-        const startCol = startPosition.column;
-        const endCol = startCol + capture.node.text.length;
-
-        const line = $line.textContent;
-        const left = line.slice(0, startCol);
-        const right = line.slice(endCol);
-
-        // Apply highlighting based on capture name
-        if (capture.name === "function") {
-          if (left.length > 8) {
-            const leftA = left.slice(0, left.length - 9);
-            const leftB = left.slice(left.length - 9);
-            $line.innerHTML = `${leftA}<span class="highlight-function">${leftB}</span><span class="highlight-function-name">${capture.node.text}</span>${right}`;
-          }
-        } else if (capture.name === "string") {
-          $line.innerHTML = `${left}<span class="highlight-string">${capture.node.text}</span>${right}`;
-        }
-
-        return j;
-      }
+  function lineTokens(text, row, rowCaptures) {
+    const names = new Array(text.length).fill('default');
+    rowCaptures
+      .map(({ name, node }, i) => ({
+        name,
+        i,
+        start: node.startPosition.row < row ? 0 : node.startPosition.column,
+        end: node.endPosition.row > row ? text.length : Math.min(node.endPosition.column, text.length)
+      }))
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start) || b.i - a.i)
+      .forEach(({ name, start, end }) => names.fill(name, start, end));
 
-      // If we've passed the row, stop searching
-      if (startPosition.row > absoluteRow) {
-        return j;
-      }
+    const tokens = [];
+    for (let col = 0; col < text.length; ) {
+      let end = col + 1;
+      while (end < text.length && names[end] === names[col]) end++;
+      tokens.push({ text: text.slice(col, end), type: names[col] });
+      col = end;
+    }
+    return tokens;
+  }
+
+  /**
+   * Color for a capture name from the color table. Dotted names fall back
+   * to their prefix: comment.line.double, then comment.line, then comment.
+   * @private
+   */
+  function colorFor(name) {
+    for (let key = name; key; key = key.slice(0, Math.max(0, key.lastIndexOf('.')))) {
+      if (colors[key]) return colors[key];
     }
-    return captures.length;
+    return null;
+  }
+
+  /**
+   * Maps capture tokens to editor._.renderTokens tokens: each capture gets
+   * class highlight-<name> (dots become dashes) and its table color.
+   * @private
+   */
+  function captureTokens(tokens) {
+    return tokens.map(({ text, type }) => type === 'default' ? { text } : {
+      text,
+      className: 'highlight-' + type.replace(/[^\w-]/g, '-'),
+      color: colorFor(type)
+    });
   }
 
   // Register render hook for syntax highlighting
   renderHooks.onRenderContent.push(($container, viewport) => {
-    if (!enabled || !tree || captures.length === 0) return;
+    if (!enabled || !tree) return;
+    // While a reparse is pending, keep the last captures rather than querying the edited tree
+    if (!dirty) captureViewport(viewport);
+    if (captures.length === 0) return;
 
-    let minJ = 0;
-    for (let i = 0; i < viewport.size; i++) {
-      const $line = $container.children[i];
-      // Clear any previous HTML and reset to text
-      $line.innerHTML = "";
-      $line.textContent = viewport.lines[i] || null;
-
-      // Apply highlighting
-      minJ = highlightLine($line, viewport.start + i, minJ);
+    // Captures touching each viewport row, in query order
+    const end = Math.min(viewport.start + viewport.size, Model.lines.length) - 1;
+    const byRow = [];
+    for (const capture of captures) {
+      const from = Math.max(capture.node.startPosition.row, viewport.start);
+      const to = Math.min(capture.node.endPosition.row, end);
+      for (let i = from - viewport.start; i <= to - viewport.start; i++) (byRow[i] || (byRow[i] = [])).push(capture);
     }
+
+    byRow.forEach((rowCaptures, i) => {
+      const row = viewport.start + i;
+      renderTokens($textLayer.children[i], captureTokens(lineTokens(Model.lines[row], row, rowCaptures)));
+    });
   });
 
   /**
@@ -145,18 +282,36 @@ function BuffeeTreeSitter(editor, { parser, query }) {
     get tree() { return tree; },
 
     /**
-     * Current captures from query (read-only).
+     * Captures for the rows last rendered (read-only).
      * @type {Array}
      */
     get captures() { return captures; },
 
     /**
-     * Forces an immediate re-parse of the document.
+     * Sets colors for capture names, merged over the defaults.
+     * Takes the same map as BuffeeSyntax.setColors; dotted capture names
+     * (comment.line) fall back to their prefix (comment). A null color
+     * leaves that capture to CSS via its highlight-<name> class.
+     * @param {Object} customColors - Map of capture name to color
+     */
+    setColors(customColors) {
+      colors = { ...defaultColors, ...customColors };
+      render(false);
+    },
+
+    /**
+     * Resets colors to defaults.
+     */
+    resetColors() {
+      colors = { ...defaultColors };
+      render(false);
+    },
+
+    /**
+     * Forces an immediate re-parse of the document, incremental if the tree is current.
      */
     reparse() {
-      const text = Model.lines.join("\n");
-      tree = parser.parse(text);
-      captures = query.captures(tree.rootNode);
+      parse();
       render(false);
     }
   };
@@ -1,7 +1,7 @@
 /**
  * @fileoverview BuffeeUltraHighCapacity - Ultra-high-capacity file loading extension for Buffee.
  * Enables loading and viewing very large files (1B+ lines) using gzip compression and chunked storage.
- * @version 1.0.0
+ * @version 1.1.2
  */
 
 /**
@@ -15,8 +15,8 @@
  * await editor.UltraHighCapacity.appendLines(largeArrayOfLines);
  */
 function BuffeeUltraHighCapacity(editor) {
-  const { $e, render, renderHooks, appendLines } = editor._;
-  const { Viewport, Model } = editor;
+  const { $e, render, renderHooks, appendLines, clampViewportStart } = editor._;
+  const { Viewport, Model, Selection } = editor;
 
   // Store original methods/getters
   const originalLastIndexGetter = Object.getOwnPropertyDescriptor(Model, 'lastIndex').get;
@@ -66,11 +66,7 @@ function BuffeeUltraHighCapacity(editor) {
       offset += chunk.length;
     }
 
-    if (chunkIndex < chunks.length) {
-      chunks[chunkIndex] = result;
-    } else {
-      chunks.push(result);
-    }
+    chunks[chunkIndex] = result;
   }
 
   /**
@@ -207,6 +203,8 @@ function BuffeeUltraHighCapacity(editor) {
       remainingLines = newLines.slice(remainingSpace);
       buffer.push(...linesToCurrentChunk);
       totalLines += linesToCurrentChunk.length;
+      // Keep the compressed copy in step, so chunk indices stay aligned
+      await compressChunk(startChunkIndex, buffer);
       startChunkIndex++;
       startPosInChunk = 0;
     }
@@ -246,6 +244,17 @@ function BuffeeUltraHighCapacity(editor) {
     if (!skipRender) render();
   }
 
+  /**
+   * Builds the per-line search RegExp, with the same options as BuffeeSearch.
+   * No 'g' flag, so test() keeps no state between lines.
+   * @private
+   */
+  function compile(query, { regex, caseSensitive, wholeWord }) {
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+    return new RegExp(source, caseSensitive ? '' : 'i');
+  }
+
   /**
    * UltraHighCapacity API.
    * @namespace UltraHighCapacity
@@ -360,6 +369,77 @@ function BuffeeUltraHighCapacity(editor) {
       await appendChunkedLines(lines, skipRender);
     },
 
+    /**
+     * Streams a search through every chunk in order, decompressing one at a time.
+     * Each chunk is an await, so the page stays responsive; the viewport's
+     * chunk cache is left alone.
+     * @param {string} query - Text or pattern to find (per line)
+     * @param {Object} [options]
+     * @param {boolean} [options.regex=false] - Treat query as a regular expression
+     * @param {boolean} [options.caseSensitive=false] - Match case
+     * @param {boolean} [options.wholeWord=false] - Only match whole words
+     * @param {number} [options.limit=100000] - Stop after this many matching lines
+     * @param {function(number[]): void} [options.onMatch] - Matching rows of each chunk, as they are found
+     * @param {function(Object): void} [options.onProgress] - After each chunk, with
+     *   { chunk, chunkCount, linesScanned, totalLines, matchCount }
+     * @returns {{done: Promise<{rows: number[], complete: boolean}>, cancel: function(): void}}
+     *   rows are absolute (0-indexed); complete is false if cancelled or limited
+     * @throws {SyntaxError} If regex is set and the pattern is invalid
+     * @example
+     * const search = editor.UltraHighCapacity.search('ERROR', {
+     *   onProgress: ({ linesScanned, totalLines }) => console.log(linesScanned / totalLines)
+     * });
+     * const { rows } = await search.done;
+     * editor.UltraHighCapacity.goTo(rows[0]);
+     */
+    search(query, { regex = false, caseSensitive = false, wholeWord = false, limit = 100_000, onMatch, onProgress } = {}) {
+      const pattern = compile(query, { regex, caseSensitive, wholeWord });
+      let cancelled = false;
+
+      const done = (async () => {
+        const rows = [];
+        const chunkCount = Math.ceil(totalLines / chunkSize);
+        for (let i = 0; i < chunkCount; i++) {
+          const lines = await decompressChunk(i);
+          if (cancelled) return { rows, complete: false };
+
+          const found = [];
+          const base = i * chunkSize;
+          for (let j = 0; j < lines.length && rows.length + found.length < limit; j++) {
+            if (pattern.test(lines[j])) found.push(base + j);
+          }
+          rows.push(...found);
+
+          if (found.length && onMatch) onMatch(found);
+          if (onProgress) {
+            onProgress({
+              chunk: i,
+              chunkCount,
+              linesScanned: Math.min(base + chunkSize, totalLines),
+              totalLines,
+              matchCount: rows.length
+            });
+          }
+          if (rows.length >= limit) return { rows, complete: false };
+        }
+        return { rows, complete: true };
+      })();
+
+      return { done, cancel() { cancelled = true; } };
+    },
+
+    /**
+     * Scrolls a row to the middle of the viewport and puts the cursor on it.
+     * Its chunk is loaded by the next render.
+     * @param {number} row - Absolute row (0-indexed), e.g. from search()
+     */
+    goTo(row) {
+      row = Math.max(0, Math.min(row, totalLines - 1));
+      Viewport.start = clampViewportStart(row - (Viewport.size >> 1));
+      Selection.setCursor({ row, col: 0 });
+      render();
+    },
+
     /**
      * Clears all chunked data.
      */
@@ -1,3 +1,12 @@
+/**
+ * @fileoverview BuffeeUndoTree - Tree-based undo/redo extension for Buffee.
+ * Records edits as nodes in a tree, so undoing and editing again starts a
+ * new branch instead of discarding the old future. Edits are recorded from
+ * 'change' events; undo and redo replay nodes with the 'undo'/'redo' origin,
+ * which are not recorded again.
+ * @version 1.2.0
+ */
+
 /**
  * Decorator: adds tree-based undo/redo to a Buffee instance.
  *
@@ -6,15 +15,20 @@
  * you create a new branch instead of losing the previous future.
  *
  * @param {Buffee} editor - The Buffee instance to extend
+ * @param {Object} [options] - Undo tree options
+ * @param {number} [options.coalesceTimeout=500] - Typing pauses longer than this start a new node
+ * @param {boolean} [options.wordBoundary=false] - Also start a new node where a word begins after whitespace or punctuation
  * @returns {Buffee} The extended editor instance
  * @example
  * const editor = BuffeeUndoTree(Buffee(container, config));
  * editor.UndoTree.undo();           // Go to parent node
  * editor.UndoTree.redo();           // Go to most recent child
  * editor.UndoTree.branches();       // Get available branches at current node
+ * editor.UndoTree.transact(() => { ... }); // Several edits, one node
+ * editor.UndoTree.earlier(10);      // State as of 10 seconds earlier
  */
-function BuffeeUndoTree(editor) {
-  const { insert: _insert, delete: _delete } = editor._;
+function BuffeeUndoTree(editor, { coalesceTimeout = 500, wordBoundary = false } = {}) {
+  const { render, renderHooks, withOrigin, mergeRanges, insert: _insert, delete: _delete } = editor._;
   const { Selection, Model } = editor;
 
   // Node ID counter
@@ -34,7 +48,10 @@ function BuffeeUndoTree(editor) {
 
   let current = root;
   let _lastOpTime = 0;
-  const coalesceTimeout = 500;
+  let _transaction = null;  // Edits made while transact() runs
+  let _settling = null;     // Node whose cursorAfter is captured at the next render
+  let _replacing = null;    // { row, col } of a selection just deleted, until the insert typed over it
+  const listeners = [];
 
   // Capture cursor position
   // Access via getters each time - head/tail references can change
@@ -43,7 +60,8 @@ function BuffeeUndoTree(editor) {
     const tail = editor._.tail;
     return {
       headRow: head.row, headCol: head.col,
-      tailRow: tail.row, tailCol: tail.col
+      tailRow: tail.row, tailCol: tail.col,
+      maxCol: editor._.maxCol
     };
   }
 
@@ -68,13 +86,52 @@ function BuffeeUndoTree(editor) {
     head.col = pos.headCol;
     tail.row = pos.tailRow;
     tail.col = pos.tailCol;
+    editor._.maxCol = pos.maxCol ?? pos.headCol;
+  }
+
+  // Call listeners with a node and the selections it restores
+  function notify(type, node) {
+    for (const listener of listeners) {
+      listener({ type, node, cursorBefore: node.cursorBefore, cursorAfter: node.cursorAfter });
+    }
+  }
+
+  // The editor moves the cursor after the primitive edit, so a node's
+  // cursorAfter is final at the next render (or the next undo)
+  function settle() {
+    _replacing = null; // a replacement is one action, done before it renders
+    if (!_settling) return;
+    const node = _settling;
+    _settling = null;
+    node.cursorAfter = captureCursor();
+    notify('edit', node);
+  }
+
+  // Mark a node as settling, after settling the previous one
+  function touch(node) {
+    if (_settling !== node) settle();
+    _settling = node;
+  }
+
+  renderHooks.onRenderComplete.push(settle);
+
+  const isWordChar = ch => /\w/.test(ch);
+
+  // Whether a word starts between two adjacent pieces of text
+  function wordStarts(before, after) {
+    return !isWordChar(before[before.length - 1]) && isWordChar(after[0]);
   }
 
   // Check if operation can be coalesced with current node
-  function canCoalesce(type) {
+  function canCoalesce(type, text) {
     if (!current.operation) return false;
     if (current.operation.type !== type) return false;
     if (current.children.length > 0) return false;
+    if (wordBoundary) {
+      // Deletes accumulate backwards, so their new text comes first
+      const op = current.operation;
+      if (type === 'insert' ? wordStarts(op.text, text) : wordStarts(text, op.text)) return false;
+    }
     const now = Date.now();
     return (now - _lastOpTime) < coalesceTimeout;
   }
@@ -84,71 +141,141 @@ function BuffeeUndoTree(editor) {
     const now = Date.now();
 
     // Try to coalesce with current node
-    if (canCoalesce(type)) {
+    if (canCoalesce(type, text)) {
       const op = current.operation;
       if (type === 'insert') {
         // Append to existing insert
         op.text += text;
-        current.cursorAfter = captureCursor();
       } else {
         // Prepend to existing delete (backspace accumulates backwards)
         op.text = text + op.text;
         op.col = col;
-        current.cursorAfter = captureCursor();
       }
+      touch(current);
       _lastOpTime = now;
       return;
     }
 
-    // Create new node
+    addNode({ type, row, col, text }, cursorBefore);
+    touch(current);
+    _lastOpTime = now;
+  }
+
+  // Add a child of the current node and make it current
+  function addNode(operation, cursorBefore) {
     const node = {
       id: nextId++,
       parent: current,
       children: [],
-      operation: { type, row, col, text },
+      operation,
       cursorBefore,
       cursorAfter: captureCursor(),
-      timestamp: now,
+      timestamp: Date.now(),
       activeChild: null
     };
 
     current.children.push(node);
     current.activeChild = current.children.length - 1;
     current = node;
-    _lastOpTime = now;
   }
 
-  // Wrap insert to record history
-  editor._.insert = function(row, col, text) {
+  const isSelection = cursor => cursor.headRow !== cursor.tailRow || cursor.headCol !== cursor.tailCol;
+
+  // Record an insert. Text typed over a selection joins the node of the
+  // delete, so one undo restores the text and the selection.
+  function recordInsert(row, col, text, cursorBefore) {
+    if (_transaction) {
+      _transaction.push({ type: 'insert', row, col, text });
+    } else if (_replacing && _replacing.row === row && _replacing.col === col) {
+      const removal = current.operation;
+      current.operation = { type: 'transaction', ops: [removal, { type: 'insert', row, col, text }], text: removal.text + text };
+      _replacing = null;
+      touch(current);
+      _lastOpTime = Date.now();
+    } else {
+      _replacing = null;
+      recordOperation('insert', row, col, text, cursorBefore);
+    }
+  }
+
+  // Record a delete. Deleting a selection starts its own node, which the
+  // insert of a replacement then joins.
+  function recordDelete(row, col, text, cursorBefore) {
+    if (_transaction) {
+      _transaction.push({ type: 'delete', row, col, text });
+    } else if (isSelection(cursorBefore)) {
+      addNode({ type: 'delete', row, col, text }, cursorBefore);
+      touch(current);
+      _lastOpTime = Date.now();
+      _replacing = { row, col };
+    } else {
+      _replacing = null;
+      recordOperation('delete', row, col, text, cursorBefore);
+    }
+  }
+
+  // Record every edit except undo and redo replaying nodes and lines loaded
+  // with appendLines. Change listeners run before the editor moves the
+  // cursor, so it is still where the edit began.
+  editor.on('change', ({ row, col, removedText, insertedText, origin }) => {
+    if (origin === 'undo' || origin === 'redo' || origin === 'load') return;
     const cursorBefore = captureCursor();
-    const result = _insert(row, col, text);
-    recordOperation('insert', row, col, text, cursorBefore);
-    return result;
-  };
+    if (removedText) recordDelete(row, col, removedText, cursorBefore);
+    if (insertedText) recordInsert(row, col, insertedText, cursorBefore);
+  });
+
+  // Apply an operation, or its inverse. A transaction applies its edits
+  // in order, and inverts them last first.
+  function apply(op, inverse) {
+    if (op.type === 'transaction') {
+      const ops = inverse ? [...op.ops].reverse() : op.ops;
+      for (const edit of ops) apply(edit, inverse);
+    } else if ((op.type === 'insert') !== inverse) {
+      _insert(op.row, op.col, op.text);
+    } else {
+      _delete(op.row, op.col, op.text);
+    }
+  }
 
-  // Wrap delete to record history
-  editor._.delete = function(row, col, text) {
+  // Run fn and record all of its edits as one node. Nested calls join the
+  // outer transaction; if fn throws, its edits are reverted.
+  function transact(fn) {
+    if (_transaction) return fn();
+    const ops = _transaction = [];
     const cursorBefore = captureCursor();
-    const result = _delete(row, col, text);
-    recordOperation('delete', row, col, text, cursorBefore);
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      withOrigin('undo', () => apply({ type: 'transaction', ops }, true));
+      restoreCursor(cursorBefore);
+      render();
+      throw error;
+    } finally {
+      _transaction = null;
+    }
+    if (ops.length) {
+      addNode({ type: 'transaction', ops, text: ops.map(op => op.text).join('') }, cursorBefore);
+      touch(current);
+      _lastOpTime = 0;
+    }
+    render(); // settles the node's cursorAfter
     return result;
-  };
+  }
 
-  // Undo: apply inverse of current operation and move to parent
+  // Undo: apply inverse of current operation, restore the selection from
+  // before it, and move to parent
   function undo() {
     if (!current.parent) return false;
     if (!current.operation) return false;
-
-    const op = current.operation;
+    settle();
 
     // Apply inverse operation
-    if (op.type === 'insert') {
-      _delete(op.row, op.col, op.text);
-    } else {
-      _insert(op.row, op.col, op.text);
-    }
+    withOrigin('undo', () => apply(current.operation, true));
 
     restoreCursor(current.cursorBefore);
+    mergeRanges(); // other cursors tracked the edit back and may meet the restored one
+    notify('undo', current);
 
     // Move to parent, marking this as the active child for redo
     const parent = current.parent;
@@ -170,18 +297,15 @@ function BuffeeUndoTree(editor) {
     if (index < 0 || index >= current.children.length) return false;
 
     const child = current.children[index];
-    const op = child.operation;
 
     // Apply operation
-    if (op.type === 'insert') {
-      _insert(op.row, op.col, op.text);
-    } else {
-      _delete(op.row, op.col, op.text);
-    }
+    withOrigin('redo', () => apply(child.operation, false));
 
     restoreCursor(child.cursorAfter);
+    mergeRanges();
     current = child;
     _lastOpTime = 0;
+    notify('redo', child);
 
     return true;
   }
@@ -262,6 +386,27 @@ function BuffeeUndoTree(editor) {
     return true;
   }
 
+  // Go to the newest state at or before a time, across branches.
+  // Node ids grow with time, so the newest is the one with the largest id.
+  function travelTo(time) {
+    let target = root;
+    (function visit(node) {
+      if (node.timestamp <= time && node.id > target.id) target = node;
+      node.children.forEach(visit);
+    })(root);
+    return target !== current && goToNode(target.id);
+  }
+
+  // Go to the state N seconds before the current one (vim's :earlier)
+  function earlier(seconds) {
+    return travelTo(current.timestamp - seconds * 1000);
+  }
+
+  // Go to the state N seconds after the current one (vim's :later)
+  function later(seconds) {
+    return travelTo(current.timestamp + seconds * 1000);
+  }
+
   // Get tree structure for visualization
   function getTree() {
     function nodeToObj(node) {
@@ -289,6 +434,17 @@ function BuffeeUndoTree(editor) {
     current = root;
     nextId = 1;
     _lastOpTime = 0;
+    _settling = null;
+  }
+
+  // Listen for recorded, undone and redone nodes, with the selections
+  // before and after their action. Returns a function that removes it.
+  function addListener(listener) {
+    listeners.push(listener);
+    return () => {
+      const i = listeners.indexOf(listener);
+      if (i !== -1) listeners.splice(i, 1);
+    };
   }
 
   // Expose API
@@ -297,8 +453,12 @@ function BuffeeUndoTree(editor) {
     redo,
     branches,
     goToNode,
+    earlier,
+    later,
     getTree,
     clear,
+    transact,
+    addListener,
     get current() { return current; },
     get root() { return root; },
     get canUndo() { return current.parent !== null && current.operation !== null; },
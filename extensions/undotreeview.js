@@ -0,0 +1,379 @@
+/**
+ * @fileoverview BuffeeUndoTreeView - Undo tree panel for BuffeeUndoTree.
+ * Draws the branch graph, newest node first, in a second Buffee in
+ * read-only mode, the way vim-undotree does. Selecting a node previews the
+ * diff a jump to it would make, before jumping. Earlier/later move through
+ * time by node timestamps, across branches.
+ * @version 1.1.1
+ */
+
+/**
+ * Decorator: adds an undo tree panel to a Buffee instance with BuffeeUndoTree.
+ *
+ * Panel keys: j/k or arrows select a node, Enter jumps to it, - and + go
+ * earlier/later by `step` seconds. Click selects, double-click jumps.
+ *
+ * @param {Buffee} editor - The Buffee instance to extend, with BuffeeUndoTree applied
+ * @param {Buffee} panel - Buffee instance that shows the graph; it is made read-only
+ * @param {Object} [options] - Panel options
+ * @param {Buffee} [options.diffPanel] - Buffee instance for the diff preview (default: below the graph in panel)
+ * @param {number} [options.step=10] - Seconds moved by the - and + keys
+ * @returns {Buffee} The extended editor instance
+ * @throws {Error} If BuffeeUndoTree has not been applied
+ * @example
+ * const editor = BuffeeUndoTree(Buffee(container, config));
+ * BuffeeUndoTreeView(editor, new Buffee(panelContainer, { rows: 20 }));
+ * editor.UndoTreeView.select(3);
+ * editor.UndoTreeView.jump();
+ */
+function BuffeeUndoTreeView(editor, panel, { diffPanel = null, step = 10 } = {}) {
+  const { UndoTree, Model } = editor;
+  if (!UndoTree) throw new Error('BuffeeUndoTreeView requires BuffeeUndoTree');
+  const { render, renderHooks } = editor._;
+  const { $l: $panelLines, renderHooks: panelHooks } = panel._;
+
+  let rows = [];            // Panel rows: { node, text }, node null for connector rows
+  let selected = UndoTree.current;
+  let preview = [];         // Diff preview lines for the selected node
+  let lastCurrent = null;   // UndoTree.current when the panel was last built
+  let signature = '';
+
+  panel.Mode.interactive = -1;
+
+  const $selected = document.createElement('div');
+  $selected.className = 'buffee-undotree-selected';
+  Object.assign($selected.style, {
+    position: 'absolute',
+    left: '0',
+    right: '0',
+    height: panel.lineHeight + 'px',
+    background: 'rgba(97, 175, 239, 0.25)',
+    zIndex: 'var(--buffee-z-selection)',
+    pointerEvents: 'none'
+  });
+  $panelLines.appendChild($selected);
+
+  /**
+   * Every node, newest first.
+   * @private
+   */
+  function allNodes() {
+    const nodes = [];
+    (function visit(node) {
+      nodes.push(node);
+      node.children.forEach(visit);
+    })(UndoTree.root);
+    return nodes.sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * One-line summary of a node's operation.
+   * @private
+   */
+  function summary(node) {
+    const op = node.operation;
+    if (!op) return 'original';
+    const text = JSON.stringify(op.text.length > 20 ? op.text.slice(0, 20) + '…' : op.text);
+    if (op.type === 'transaction') return `${op.ops.length} edits ${text}`;
+    return (op.type === 'insert' ? '+' : '-') + text;
+  }
+
+  /**
+   * Lays out the graph, newest node on top. Each lane leads down to the
+   * parent its node is waiting for; when several lanes wait for the same
+   * node (its branches), the extra ones merge into it with a connector row.
+   * @private
+   * @returns {Array<{node: Object|null, text: string}>}
+   */
+  function layout() {
+    const lanes = [];   // Per lane: id of the node it leads to, or null if free
+    const graph = [];   // { node, cells }
+    const current = UndoTree.current;
+    for (const node of allNodes()) {
+      let col = lanes.indexOf(node.id);
+      if (col === -1) col = lanes.includes(null) ? lanes.indexOf(null) : lanes.length;
+      const merged = [];
+      lanes.forEach((id, i) => { if (id === node.id && i !== col) merged.push(i); });
+
+      const width = Math.max(lanes.length, col + 1);
+      let cells = '';
+      for (let i = 0; i < width; i++) {
+        cells += (i === col ? (node === current ? '@' : 'o') : lanes[i] != null ? '|' : ' ') + ' ';
+      }
+      graph.push({ node, cells });
+
+      for (const i of merged) lanes[i] = null;
+      lanes[col] = node.parent ? node.parent.id : null;
+      if (merged.length) {
+        const chars = Array(lanes.length * 2).fill(' ');
+        lanes.forEach((id, i) => { if (id != null) chars[i * 2] = '|'; });
+        for (const j of merged) {
+          for (let k = col * 2 + 1; k < j * 2 - 1; k++) if (chars[k] === ' ') chars[k] = '-';
+          chars[j * 2 - 1] = '/';
+        }
+        graph.push({ node: null, cells: chars.join('') });
+      }
+      while (lanes.length && lanes[lanes.length - 1] == null) lanes.pop();
+    }
+
+    const pad = Math.max(...graph.map(g => g.cells.trimEnd().length)) + 1;
+    return graph.map(({ node, cells }) => ({
+      node,
+      text: node
+        ? `${cells.padEnd(pad)}[${node.id}] ${new Date(node.timestamp).toTimeString().slice(0, 8)} ${summary(node)}`
+        : cells.trimEnd()
+    }));
+  }
+
+  /**
+   * Applies an operation, or its inverse, to an array of lines.
+   * @private
+   */
+  function applyTo(lines, op, inverse) {
+    if (op.type === 'transaction') {
+      const ops = inverse ? [...op.ops].reverse() : op.ops;
+      for (const edit of ops) applyTo(lines, edit, inverse);
+      return;
+    }
+    const { row, col, text } = op;
+    const parts = text.split('\n');
+    if ((op.type === 'insert') !== inverse) {
+      const line = lines[row];
+      parts[0] = line.slice(0, col) + parts[0];
+      parts[parts.length - 1] += line.slice(col);
+      lines.splice(row, 1, ...parts);
+    } else {
+      const endRow = row + parts.length - 1;
+      const endCol = parts.length > 1 ? parts[parts.length - 1].length : col + text.length;
+      lines.splice(row, parts.length, lines[row].slice(0, col) + lines[endRow].slice(endCol));
+    }
+  }
+
+  /**
+   * The document as it would be at a node: undoes up to the common
+   * ancestor with the current node, then redoes down to the target.
+   * @private
+   */
+  function linesAt(target) {
+    const lines = [...Model.lines];
+    const ancestors = new Set();
+    for (let n = target; n; n = n.parent) ancestors.add(n);
+    let n = UndoTree.current;
+    for (; !ancestors.has(n); n = n.parent) applyTo(lines, n.operation, true);
+    const down = [];
+    for (let m = target; m !== n; m = m.parent) down.unshift(m);
+    for (const m of down) applyTo(lines, m.operation, false);
+    return lines;
+  }
+
+  /**
+   * Unified diff between two versions of the document, one hunk with up
+   * to three lines of context.
+   * @private
+   */
+  function diff(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+           before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+    if (start === before.length && start === after.length) return ['No changes'];
+    const from = Math.max(0, start - 3);
+    const removed = before.slice(start, before.length - end);
+    const added = after.slice(start, after.length - end);
+    const context = before.slice(before.length - end, before.length - end + 3);
+    const oldCount = start - from + removed.length + context.length;
+    const newCount = start - from + added.length + context.length;
+    return [
+      `@@ -${from + 1},${oldCount} +${from + 1},${newCount} @@`,
+      ...before.slice(from, start).map(line => ' ' + line),
+      ...removed.map(line => '-' + line),
+      ...added.map(line => '+' + line),
+      ...context.map(line => ' ' + line)
+    ];
+  }
+
+  /**
+   * Diff from the current document to a node's. Copying and diffing the
+   * whole document is O(lines), so the current node skips both.
+   * @private
+   */
+  function diffTo(node) {
+    return node === UndoTree.current ? ['No changes'] : diff(Model.lines, linesAt(node));
+  }
+
+  /**
+   * Recomputes the diff preview of the selected node.
+   * @private
+   */
+  function updatePreview() {
+    preview = [`--- [${UndoTree.current.id}] current`, `+++ [${selected.id}] ${summary(selected)}`, ...diffTo(selected)];
+  }
+
+  /**
+   * Rebuilds the panel text, with the last computed diff preview.
+   * @private
+   */
+  function draw() {
+    rows = layout();
+    if (diffPanel) {
+      panel.Model.text = rows.map(r => r.text).join('\n');
+      diffPanel.Model.text = preview.join('\n');
+    } else {
+      panel.Model.text = [...rows.map(r => r.text), '', ...preview].join('\n');
+    }
+    reveal();
+  }
+
+  /**
+   * Scrolls the panel so the selected row is visible.
+   * @private
+   */
+  function reveal() {
+    const row = rows.findIndex(r => r.node === selected);
+    const { Viewport } = panel;
+    if (row < Viewport.start || row > Viewport.end) {
+      Viewport.start = panel._.clampViewportStart(row - (Viewport.size >> 1));
+    }
+    panel._.render();
+  }
+
+  /**
+   * Rebuilds when the tree changed: a new current node, a coalesced
+   * keystroke, or a clear. Otherwise editor renders leave the panel alone.
+   * @private
+   */
+  function refreshIfChanged() {
+    const current = UndoTree.current;
+    const next = `${current.id}:${current.operation?.text.length}:${UndoTree.root.children.length}`;
+    if (next === signature && current === lastCurrent) return;
+    // Follow the current node, unless the selected one is still in the tree
+    if (current !== lastCurrent || !allNodes().includes(selected)) selected = current;
+    signature = next;
+    lastCurrent = current;
+    // Typing keeps the current node selected, so this only diffs while another node is
+    updatePreview();
+    draw();
+  }
+
+  renderHooks.onRenderComplete.push(refreshIfChanged);
+
+  panelHooks.onRenderContent.push(() => {
+    const row = rows.findIndex(r => r.node === selected) - panel.Viewport.start;
+    $selected.style.display = row >= 0 && row < panel.Viewport.size ? '' : 'none';
+    $selected.style.top = row * panel.lineHeight + 'px';
+  });
+
+  /**
+   * Node of a panel row, or of the nearest node row in a direction.
+   * @private
+   */
+  function nodeFrom(index, direction) {
+    for (let i = index; i >= 0 && i < rows.length; i += direction) {
+      if (rows[i].node) return rows[i].node;
+    }
+    return null;
+  }
+
+  $panelLines.addEventListener('keydown', event => {
+    const index = rows.findIndex(r => r.node === selected);
+    const actions = {
+      j: () => View.select(nodeFrom(index + 1, 1)?.id),
+      ArrowDown: () => View.select(nodeFrom(index + 1, 1)?.id),
+      k: () => View.select(nodeFrom(index - 1, -1)?.id),
+      ArrowUp: () => View.select(nodeFrom(index - 1, -1)?.id),
+      Enter: () => View.jump(),
+      '-': () => View.earlier(),
+      '+': () => View.later(),
+      '=': () => View.later()
+    };
+    if (!actions[event.key] || event.metaKey || event.ctrlKey || event.altKey) return;
+    event.preventDefault();
+    actions[event.key]();
+  });
+
+  const rowAt = event => panel.Viewport.start +
+    Math.floor((event.clientY - $panelLines.getBoundingClientRect().top) / panel.lineHeight);
+  $panelLines.addEventListener('click', event => View.select(rows[rowAt(event)]?.node?.id));
+  $panelLines.addEventListener('dblclick', event => {
+    const node = rows[rowAt(event)]?.node;
+    if (node) View.jump(node.id);
+  });
+
+  const View = {
+    /**
+     * Selects a node and previews the diff a jump to it would make.
+     * @param {number} id - Node id
+     * @returns {boolean} False if there is no such node
+     */
+    select(id) {
+      const node = allNodes().find(n => n.id === id);
+      if (!node) return false;
+      selected = node;
+      updatePreview();
+      draw();
+      return true;
+    },
+
+    /** @type {number} Id of the selected node */
+    get selected() { return selected.id; },
+
+    /**
+     * Unified diff from the current document to a node's, without jumping.
+     * @param {number} [id] - Node id (default: the selected node)
+     * @returns {string[]|null} Diff lines, or null if there is no such node
+     */
+    preview(id = selected.id) {
+      const node = allNodes().find(n => n.id === id);
+      return node ? diffTo(node) : null;
+    },
+
+    /**
+     * Jumps the editor to a node.
+     * @param {number} [id] - Node id (default: the selected node)
+     * @returns {boolean} True if the editor moved
+     */
+    jump(id = selected.id) {
+      if (id === UndoTree.current.id || !UndoTree.goToNode(id)) return false;
+      render();
+      return true;
+    },
+
+    /**
+     * Goes to the state some seconds before the current one, across branches.
+     * @param {number} [seconds=step]
+     * @returns {boolean} True if the editor moved
+     */
+    earlier(seconds = step) {
+      if (!UndoTree.earlier(seconds)) return false;
+      render();
+      return true;
+    },
+
+    /**
+     * Goes to the state some seconds after the current one, across branches.
+     * @param {number} [seconds=step]
+     * @returns {boolean} True if the editor moved
+     */
+    later(seconds = step) {
+      if (!UndoTree.later(seconds)) return false;
+      render();
+      return true;
+    },
+
+    /** @type {string[]} Graph lines as drawn in the panel */
+    get lines() { return rows.map(r => r.text); },
+
+    /**
+     * Rebuilds the panel now, e.g. after changing node timestamps.
+     */
+    refresh() {
+      signature = '';
+      refreshIfChanged();
+    }
+  };
+
+  editor.UndoTreeView = View;
+  refreshIfChanged();
+  return editor;
+}
@@ -22,8 +22,14 @@ class DSLTranspiler {
     // Map special keys to Key constants
     this.specialKeyMap = {
       'backspace': 'Backspace',
+      'delete': 'Delete',
       'enter': 'Enter',
-      'tab': 'Tab'
+      'tab': 'Tab',
+      'escape': 'Escape',
+      'home': 'Home',
+      'end': 'End',
+      'pageup': 'PageUp',
+      'pagedown': 'PageDown'
     };
   }
 
@@ -195,6 +201,7 @@ class DSLTranspiler {
    *   backspace 5 times → fixture.press(Key.Backspace).times(5);
    *   left with meta → fixture.press(Key.ArrowLeft).withMetaKey().once();
    *   right 5 times with shift → fixture.press(Key.ArrowRight).withShiftKey().times(5);
+   *   home with ctrl, shift → fixture.press(Key.Home).withCtrlKey().withShiftKey().once();
    */
   transpileSpecialKey(cmd) {
     // Parse: <key> [quantification] [qualification]
@@ -226,14 +233,18 @@ class DSLTranspiler {
     if (qualifications) {
       const mods = qualifications.split(',').map(m => m.trim().toLowerCase());
 
-      // Ensure consistent order: meta, shift, alt
+      // Ensure consistent order: meta, ctrl, shift, alt
       const hasMeta = mods.includes('meta');
+      const hasCtrl = mods.includes('ctrl');
       const hasShift = mods.includes('shift');
       const hasAlt = mods.includes('alt');
 
       if (hasMeta) {
         chain += '.withMetaKey()';
       }
+      if (hasCtrl) {
+        chain += '.withCtrlKey()';
+      }
       if (hasShift) {
         chain += '.withShiftKey()';
       }
@@ -184,15 +184,16 @@ function defineExtensionTests() {
                 BuffeeSyntax(editor);
                 editor.Syntax.setLanguage('javascript');
                 editor.Syntax.enabled = true;
-                editor.Model.text = 'line1\nline2\nline3';
+                editor.Model.text = '/* line1\nline2\nline3';
 
                 // Force state cache population
                 editor.Syntax.ensureStateCache(2);
                 assertTrue(editor.Syntax.stateCache.length >= 3, 'State cache should be populated');
+                assertTrue(editor.Syntax.stateCache[1] !== 0, 'Line 2 starts inside the comment');
 
-                // Simulate edit by setting text
+                // Simulate edit by setting text: the render that follows refills the cache
                 editor.Model.text = 'changed';
-                assertEqual(editor.Syntax.stateCache.length, 1, 'State cache should be reset');
+                assertEqual(editor.Syntax.stateCache[1], 0, 'State cache should be reset');
             } finally {
                 cleanup();
             }
@@ -221,6 +222,229 @@ function defineExtensionTests() {
                 cleanup();
             }
         });
+
+        // Non-whitespace tokens of each line as 'type:text', with the line's start state
+        function lineTokens(editor, lang, text) {
+            editor.Syntax.setLanguage(lang);
+            editor.Model.text = text;
+            return text.split('\n').map((_, i) => {
+                const { tokens, startState } = editor.Syntax.getLineTokens(i);
+                return [startState, ...tokens.filter(t => t.text.trim()).map(t => `${t.type}:${t.text}`)];
+            });
+        }
+
+        extRunner.it('highlights Markdown headings, inline spans and fenced code', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const lines = lineTokens(editor, 'markdown', '# Title\nSee `x` and [docs](a.md)\n```text\nconst a = 1;\n```\n<!-- note\nend -->');
+                assertDeepEqual(lines[0], [0, 'keyword:# Title'], 'Heading');
+                assertDeepEqual(lines[1], [0, 'default:See ', 'string:`x`', 'default: and ', 'function:[docs]', 'attribute:(a.md)'], 'Inline code and link');
+                assertDeepEqual(lines[3], [1, 'string:const a = 1;'], 'Fenced code in an unknown language is one string');
+                assertDeepEqual(lines[4], [1, 'keyword:```'], 'Closing fence');
+                assertEqual(lines[5][0], 0, 'Back to normal after the fence');
+                assertDeepEqual(lines[6], [3, 'comment:end ', 'comment:-->'], 'HTML comment spans lines');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('highlights embedded languages with their own definitions', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const html = lineTokens(editor, 'html', '<script>let a = "</p>"; /* c\nd */ f(1)</script><b>\n<style>.a { color: red; }</style>');
+                assertDeepEqual(html[0], [0, 'tag:<script>', 'keyword:let', 'variable:a', 'operator:=', 'string:"</p>"', 'punctuation:;', 'comment:/*', 'comment: c'], 'Script uses the javascript rules');
+                assertDeepEqual(html[1], ['0#2:javascript>1', 'comment:d ', 'comment:*/', 'function:f', 'punctuation:(', 'number:1', 'punctuation:)', 'tag:</script>', 'tag:<b', 'tag:>'], 'Composite state carries the comment across lines, until returns to html');
+                assertDeepEqual(html[2], [0, 'tag:<style>', 'type:.a', 'punctuation:{', 'attribute:color', 'punctuation::', 'tag:red', 'punctuation:;', 'punctuation:}', 'tag:</style>'], 'Style uses the css rules');
+
+                const js = lineTokens(editor, 'javascript', 'let s = `a ${f(1) + "x"} b`;');
+                assertDeepEqual(js[0].slice(4, 13), ['string:`', 'string:a ', 'punctuation:${', 'function:f', 'punctuation:(', 'number:1', 'punctuation:)', 'operator:+', 'string:"x"'], 'Template expressions are full javascript');
+
+                const md = lineTokens(editor, 'markdown', '```js\nconst a = `x\ny`;\n```\n~~~html\n<script>let a;\n</script>\n~~~\ndone');
+                assertDeepEqual(md[1], ['0#0:javascript>0', 'keyword:const', 'variable:a', 'operator:=', 'string:`', 'string:x'], 'Fence info string picks the language');
+                assertDeepEqual(md[2], ['0#0:javascript>2', 'string:y', 'string:`', 'punctuation:;'], 'Inner multi-line state is kept');
+                assertDeepEqual(md[3], ['0#0:javascript>0', 'keyword:```'], 'Closing fence');
+                assertDeepEqual(md[5], ['0#1:html>0', 'tag:<script>', 'keyword:let', 'variable:a', 'punctuation:;'], 'Html inside the fence embeds javascript');
+                assertDeepEqual(md[6], ['0#1:html>0#2:javascript>0', 'tag:</script>'], 'Embeds nest');
+                assertDeepEqual(md[8], [0, 'default:done'], 'Back to markdown');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('ends a template expression at its matching brace', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const js = lineTokens(editor, 'javascript', 'f(`${g({ a })}!${"}"}!${`${b}`}!`);\n`${{\n}}`');
+                assertDeepEqual(js[0], [0, 'function:f', 'punctuation:(', 'string:`', 'punctuation:${', 'function:g', 'punctuation:(', 'punctuation:{', 'variable:a', 'punctuation:}', 'punctuation:)', 'punctuation:}', 'string:!', 'punctuation:${', 'string:"}"', 'punctuation:}', 'string:!', 'punctuation:${', 'string:`', 'punctuation:${', 'variable:b', 'punctuation:}', 'string:`', 'punctuation:}', 'string:!', 'string:`', 'punctuation:)', 'punctuation:;'], 'Braces and strings inside the expression do not end it');
+                assertDeepEqual(js[1], [0, 'string:`', 'punctuation:${', 'punctuation:{'], 'Open brace at the end of the line');
+                assertDeepEqual(js[2], ['2#1:javascript+1>0', 'punctuation:}', 'punctuation:}', 'string:`'], 'Depth carries across lines');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('highlights shell heredocs and multi-line strings', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const lines = lineTokens(editor, 'shell', 'cat <<EOF > out # save\n  $HOME if\nEOF\necho "a $USER\nb" --flag');
+                assertDeepEqual(lines[0], [0, 'default:cat', 'operator:<<EOF', 'operator:>', 'default:out', 'comment:# save'], 'The opening line is still shell');
+                assertDeepEqual(lines[1], ['3=EOF', 'string:  $HOME if'], 'Heredoc body is a string');
+                assertDeepEqual(lines[2], ['3=EOF', 'operator:EOF'], 'Delimiter ends the heredoc');
+                assertDeepEqual(lines[3], [0, 'function:echo', 'string:"', 'string:a ', 'variable:$USER'], 'Variables inside double quotes');
+                assertDeepEqual(lines[4], [1, 'string:b', 'string:"', 'attribute:--flag'], 'String continues to the next line');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('ends a heredoc only at the delimiter it opened with', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const lower = lineTokens(editor, 'shell', "cat <<'eof'\nbody\neof\necho ok");
+                assertDeepEqual(lower[2], ['3=eof', 'operator:eof'], 'A lowercase delimiter ends the heredoc');
+                assertDeepEqual(lower[3], [0, 'function:echo', 'default:ok'], 'Shell again after it');
+                const upper = lineTokens(editor, 'shell', 'cat <<EOF\nFOO\nEOF\necho ok');
+                assertDeepEqual(upper[1], ['3=EOF', 'string:FOO'], 'Another uppercase word is body');
+                assertDeepEqual(upper[2], ['3=EOF', 'operator:EOF'], 'The delimiter ends it');
+                assertDeepEqual(upper[3], [0, 'function:echo', 'default:ok'], 'Shell again after it');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('highlights SQL case-insensitively with block comments and strings', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const lines = lineTokens(editor, 'sql', "select count(*) /* a\nb */ FROM t WHERE s = 'it''s\nmore' AND n = @p;");
+                assertDeepEqual(lines[0], [0, 'keyword:select', 'function:count', 'punctuation:(', 'operator:*', 'punctuation:)', 'comment:/*', 'comment: a'], 'Lowercase keyword');
+                assertDeepEqual(lines[1], [1, 'comment:b ', 'comment:*/', 'keyword:FROM', 'default:t', 'keyword:WHERE', 'default:s', 'operator:=', 'string:\'', 'string:it', "string:''", 'string:s'], 'Comment ends; unclosed string keeps its escaped quote');
+                assertDeepEqual(lines[2], [2, 'string:more', "string:'", 'keyword:AND', 'default:n', 'operator:=', 'variable:@p', 'punctuation:;'], 'String ends on the next line');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('highlights YAML, diff and TypeScript', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                assertDeepEqual(lineTokens(editor, 'yaml', '- name: "x" # c\n  on: true\n  url: http://a:80'), [
+                    [0, 'punctuation:-', 'attribute:name', 'punctuation::', 'string:"x"', 'comment:# c'],
+                    [0, 'attribute:on', 'punctuation::', 'constant:true'],
+                    [0, 'attribute:url', 'punctuation::', 'default:http://a:80']
+                ], 'YAML keys, scalars and comments');
+                assertDeepEqual(lineTokens(editor, 'diff', '--- a/x\n@@ -1 +1 @@ fn\n-old\n+new\n ctx'), [
+                    [0, 'type:--- a/x'],
+                    [0, 'function:@@ -1 +1 @@', 'default: fn'],
+                    [0, 'variable:-old'],
+                    [0, 'string:+new'],
+                    [0, 'default: ctx']
+                ], 'Diff headers, hunks and changed lines');
+                assertDeepEqual(lineTokens(editor, 'typescript', 'interface A { b: string; c: Map<K> }'), [
+                    [0, 'keyword:interface', 'type:A', 'punctuation:{', 'variable:b', 'operator::', 'type:string', 'punctuation:;', 'variable:c', 'operator::', 'type:Map', 'operator:<', 'type:K', 'operator:>', 'punctuation:}']
+                ], 'TypeScript keywords and types');
+                assertEqual(lineTokens(editor, 'typescript', '`a\n${b}`')[1][0], 2, 'Template literals span lines as in JavaScript');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('detects languages from modelines, file names, shebangs and content', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                const detect = (filename, text) => editor.Syntax.detectLanguage({ filename, firstLines: text.split('\n') });
+                assertEqual(detect('src/App.TSX', ''), 'typescript', 'Extension, any case');
+                assertEqual(detect('/home/me/.bashrc', ''), 'shell', 'Dotfile name');
+                assertEqual(detect('run', '#!/usr/bin/env python3\nprint(1)'), 'python', 'Shebang through env, version stripped');
+                assertEqual(detect('', '#!/usr/bin/env -S node --no-warnings'), 'javascript', 'env flags skipped');
+                assertEqual(detect('notes.txt', '# vim: set ft=yaml :'), 'yaml', 'vim modeline');
+                assertEqual(detect('query.js', '-- -*- mode: sql -*-'), 'sql', 'Emacs modeline wins over the extension');
+                assertEqual(detect('x.sh', '#!/usr/bin/env python'), 'shell', 'Extension wins over the shebang');
+                assertEqual(detect('', 'diff --git a/x b/x\n--- a/x'), 'diff', 'Diff content');
+                assertEqual(detect('', 'import os\n\ndef main():'), 'python', 'Python content');
+                assertEqual(detect('', 'SELECT *\nFROM t;'), 'sql', 'SQL content');
+                assertEqual(detect('', '# Title\n\nSome text'), 'markdown', 'Markdown content');
+                assertEqual(detect('notes.txt', 'just text'), null, 'Nothing matched');
+
+                editor.Model.text = '{\n  "a": 1\n}';
+                assertEqual(editor.Syntax.detectLanguage(), 'json', 'Defaults to the first lines of Model.lines');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('applies the detected language when Model.text is replaced', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor, { autoDetect: true });
+                editor.Syntax.enabled = true;
+                editor.Syntax.filename = 'schema.sql';
+                editor.Model.text = 'select 1';
+                assertEqual(editor.Syntax.language, 'sql', 'Language from the file name');
+                assertEqual(editor._.$textLayer.children[0].querySelector('span').textContent, 'select', 'First render uses it');
+
+                editor.Syntax.filename = '';
+                editor.Model.text = '#!/bin/sh\necho hi';
+                assertEqual(editor.Syntax.language, 'shell', 'Language from the shebang');
+                editor.Model.text = 'plain words';
+                assertEqual(editor.Syntax.language, null, 'Undetected text is not highlighted');
+
+                editor.Syntax.autoDetect = false;
+                editor.Syntax.setLanguage('python');
+                editor.Model.text = 'select 1';
+                assertEqual(editor.Syntax.language, 'python', 'Off: the language is kept');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('detects a streamed document from its first chunk', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor, { autoDetect: true });
+                editor.Model.lines = [];
+                assertEqual(editor.Syntax.language, null, 'Nothing to detect yet');
+                editor._.appendLines(['#!/usr/bin/env python3', 'print(1)']);
+                assertEqual(editor.Syntax.language, 'python', 'Shebang of the first chunk');
+                editor.Syntax.setLanguage('javascript');
+                editor._.appendLines(['#!/bin/sh']);
+                assertEqual(editor.Syntax.language, 'javascript', 'Later chunks keep the language');
+
+                editor.Model.lines = [];
+                editor.Syntax.setLanguage('sql');
+                editor._.appendLines(['#!/bin/sh']);
+                assertEqual(editor.Syntax.language, 'sql', 'A language set before the first chunk is kept');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('renders hostile document text and colors as text', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSyntax(editor);
+                editor.Syntax.setLanguage('html');
+                editor.Syntax.enabled = true;
+                const hostile = '<img src=x onerror="window.__buffeePwned=1"></span><script>window.__buffeePwned=1</script>&amp;';
+                editor.Syntax.setColors({ tag: 'red" onmouseover="window.__buffeePwned=1' });
+                editor.Model.text = hostile;
+                const $line = editor._.$textLayer.children[0];
+                assertEqual($line.textContent, hostile, 'Line text is exactly the document text');
+                assertEqual($line.querySelector('img, script'), null, 'No elements parsed from the text');
+                assertTrue([...$line.children].every(el => el.tagName === 'SPAN' && !el.children.length), 'Only flat token spans');
+                assertTrue([...$line.querySelectorAll('span')].every(el => !el.hasAttribute('onmouseover')), 'Colors cannot add attributes');
+                assertEqual(window.__buffeePwned, undefined, 'Nothing ran');
+            } finally {
+                cleanup();
+            }
+        });
     });
 
     // ===== ELEMENTALS TESTS =====
@@ -464,6 +688,25 @@ function defineExtensionTests() {
             }
         });
 
+        extRunner.it('undoes forward and word-wise delete', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                editor.Selection.insert('hello world');
+                editor.Selection.deleteWord(-1);
+                assertEqual(editor.Model.lines[0], 'hello ', 'Should delete the last word');
+                editor.Selection.setCursor({ row: 0, col: 0 });
+                editor.Selection.deleteForward();
+                assertEqual(editor.Model.lines[0], 'ello ', 'Should delete the first character');
+                editor.History.undo();
+                assertEqual(editor.Model.lines[0], 'hello ', 'Should restore the forward delete');
+                editor.History.undo();
+                assertEqual(editor.Model.lines[0], 'hello world', 'Should restore the word');
+            } finally {
+                cleanup();
+            }
+        });
+
         extRunner.it('undoes newline', () => {
             const { editor, cleanup } = createTestEditor();
             try {
@@ -592,6 +835,262 @@ function defineExtensionTests() {
                 cleanup();
             }
         });
+
+        extRunner.it('serializes and restores stacks for the same document', () => {
+            const first = createTestEditor();
+            const second = createTestEditor();
+            try {
+                BuffeeHistory(first.editor);
+                first.editor.Selection.insert('one');
+                first.editor.Selection.newLine();
+                first.editor.Selection.insert('two');
+                first.editor.History.undo();
+                const json = first.editor.History.serialize();
+
+                BuffeeHistory(second.editor);
+                second.editor.Model.text = 'one\ntwo';
+                assertFalse(second.editor.History.restore(json), 'Refused for different content');
+                assertEqual(second.editor.History.undoStack.length, 0, 'Untouched when refused');
+                assertFalse(second.editor.History.restore('{not json'), 'Refused for invalid JSON');
+
+                second.editor.Model.text = first.editor.Model.lines.join('\n');
+                assertTrue(second.editor.History.restore(json), 'Restored for the same content');
+                second.editor.History.redo();
+                assertEqual(second.editor.Model.lines.join('\n'), 'one\ntwo', 'Redo from the restored stack');
+                while (second.editor.History.undo());
+                assertDeepEqual(second.editor.Model.lines, [''], 'Undo back to the start');
+            } finally {
+                first.cleanup();
+                second.cleanup();
+            }
+        });
+
+        extRunner.it('saves to and loads from a storage adapter', async () => {
+            const items = {};
+            const storage = { getItem: async k => items[k] ?? null, setItem: async (k, v) => { items[k] = v; } };
+            const first = createTestEditor();
+            const second = createTestEditor();
+            const third = createTestEditor();
+            try {
+                BuffeeHistory(first.editor, { storage, key: 'draft', saveDelay: 0 });
+                first.editor.Selection.insert('hello');
+                await new Promise(resolve => setTimeout(resolve, 10));
+                assertTrue(!!items.draft, 'Saved after the change settles');
+
+                BuffeeHistory(second.editor, { storage, key: 'draft' });
+                assertFalse(await second.editor.History.load(), 'Refused before the draft text is loaded');
+                second.editor.Model.text = 'hello';
+                assertTrue(await second.editor.History.load(), 'Loaded once the text matches');
+                second.editor.History.undo();
+                assertDeepEqual(second.editor.Model.lines, [''], 'Undo survives the reload');
+                assertFalse(await BuffeeHistory(third.editor).History.load(), 'No adapter, nothing to load');
+            } finally {
+                // Flush the save the undo scheduled, so no timer outlives the test
+                await second.editor.History?.save();
+                first.cleanup();
+                second.cleanup();
+                third.cleanup();
+            }
+        });
+
+        extRunner.it('reports failed scheduled saves to onSaveError', async () => {
+            const storage = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+            const errors = [];
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor, { storage, saveDelay: 0, onSaveError: error => errors.push(error.message) });
+                editor.Selection.insert('hello');
+                await new Promise(resolve => setTimeout(resolve, 10));
+                assertDeepEqual(errors, ['QuotaExceededError'], 'The scheduled save caught the error');
+                let rejected = false;
+                await editor.History.save().catch(() => { rejected = true; });
+                assertTrue(rejected, 'An explicit save() still rejects');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('groups edits in a transaction into one undo step', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                editor.Model.text = 'a = 1\nb = 2';
+                const result = editor.History.transact(() => {
+                    editor._.insert(0, 5, ';');
+                    editor.History.transact(() => editor._.insert(1, 5, ';'));
+                    editor._.delete(0, 1, ' ');
+                    editor._.insert(2, 0, '');
+                    return 'formatted';
+                });
+                assertEqual(result, 'formatted', "Returns fn's result");
+                assertDeepEqual(editor.Model.lines, ['a= 1;', 'b = 2;'], 'Edits applied');
+                assertEqual(editor.History.undoStack.length, 1, 'One step, nested calls included');
+                editor.History.undo();
+                assertDeepEqual(editor.Model.lines, ['a = 1', 'b = 2'], 'One undo reverts all');
+                editor.History.redo();
+                assertDeepEqual(editor.Model.lines, ['a= 1;', 'b = 2;'], 'One redo reapplies all');
+
+                let thrown = null;
+                try {
+                    editor.History.transact(() => {
+                        editor._.insert(0, 0, 'x');
+                        throw new Error('formatter failed');
+                    });
+                } catch (e) {
+                    thrown = e;
+                }
+                assertEqual(thrown?.message, 'formatter failed', 'Error rethrown');
+                assertDeepEqual(editor.Model.lines, ['a= 1;', 'b = 2;'], 'Edits of a failed transaction reverted');
+                assertEqual(editor.History.undoStack.length, 1, 'Nothing recorded');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('breaks coalescing at word boundaries', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor, { wordBoundary: true, coalesceTimeout: Infinity });
+                for (const ch of 'hello, world') editor.Selection.insert(ch);
+                assertEqual(editor.History.undoStack.length, 2, 'A step per word');
+                editor.History.undo();
+                assertEqual(editor.Model.lines[0], 'hello, ', 'Undo removes the last word');
+                editor.History.undo();
+                assertEqual(editor.Model.lines[0], '', 'Then the first, with its punctuation');
+
+                editor.History.clear();
+                editor.Model.text = 'hello world';
+                for (let col = 10; col >= 0; col--) editor._.delete(0, col, editor.Model.lines[0][col]);
+                editor.History.undo();
+                assertEqual(editor.Model.lines[0], 'hello ', 'Backspace steps split the same way');
+                editor.History.undo();
+                assertEqual(editor.Model.lines[0], 'hello world', 'Restored');
+            } finally {
+                cleanup();
+            }
+        });
+        extRunner.it('restores the selection before and after an action', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                const events = [];
+                const stop = editor.History.addListener(e => events.push([e.type, e.cursorBefore.headCol, e.cursorAfter.headCol]));
+                editor.Model.text = 'hello world\nsecond line';
+                // Backward selection: anchored on row 1, head on row 0
+                editor.Selection.setSelection({ row: 1, col: 6 }, { row: 0, col: 6 });
+                editor.Selection.insert('X');
+                assertDeepEqual(editor.Model.lines, ['hello X line'], 'Replaced');
+                const pos = () => [editor._.tail.row, editor._.tail.col, editor._.head.row, editor._.head.col];
+
+                editor.Selection.setCursor({ row: 0, col: 0 });
+                editor.History.undo();
+                assertDeepEqual(pos(), [1, 6, 0, 6], 'Undo restores the selection, with its direction');
+                assertEqual(editor._.maxCol, 6, 'And its maxCol');
+                editor.Selection.setCursor({ row: 0, col: 0 });
+                editor.History.redo();
+                assertDeepEqual(pos(), [0, 7, 0, 7], 'Redo restores the cursor after the action');
+                assertDeepEqual(events, [['edit', 6, 7], ['undo', 6, 7], ['redo', 6, 7]], 'Listeners see both selections');
+                stop();
+                editor.History.undo();
+                assertEqual(events.length, 3, 'Removed listener');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('restores maxCol with the cursor', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                editor.Model.text = 'abcdefgh\nab\nabcdefgh';
+                editor.Selection.setCursor({ row: 0, col: 8 });
+                editor._.maxCol = 8;
+                editor.Selection.moveRow(1);
+                editor.Selection.deleteWord(-1);
+                assertEqual(editor._.maxCol, 0, 'Deleting moved maxCol');
+                editor.History.undo();
+                editor.Selection.moveRow(1);
+                assertDeepEqual([editor._.head.row, editor._.head.col], [2, 8], 'Down keeps aiming at column 8');
+            } finally {
+                cleanup();
+            }
+        });
+        extRunner.it('undoes typing with several cursors as one step', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                editor.Model.text = ' bar!\n baz!\n qux!';
+                editor.Selection.setCursor({ row: 0, col: 5 });
+                editor.Selection.addCursor({ row: 1, col: 5 });
+                editor.Selection.addCursor({ row: 2, col: 5 });
+                editor.Selection.insert('?');
+                assertDeepEqual(editor.Model.lines, [' bar!?', ' baz!?', ' qux!?'], 'Typed at every cursor');
+                editor.History.undo();
+                assertDeepEqual(editor.Model.lines, [' bar!', ' baz!', ' qux!'], 'One undo removes every ?');
+                const heads = editor.Selection.ranges.map(r => [r.head.row, r.head.col]);
+                assertDeepEqual(heads, [[0, 5], [1, 5], [2, 5]], 'One cursor per row, none stacked');
+                editor.History.redo();
+                assertDeepEqual(editor.Model.lines, [' bar!?', ' baz!?', ' qux!?'], 'One redo types every ?');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('undoes typing in a block selection as one step', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                editor.Model.text = 'abc\nabc\nabc';
+                editor.Selection.setSelection({ row: 0, col: 1 }, { row: 2, col: 2 });
+                editor.Selection.blockMode = true;
+                editor.Selection.insert('X');
+                assertDeepEqual(editor.Model.lines, ['aXc', 'aXc', 'aXc'], 'Typed over the block in every row');
+                editor.History.undo();
+                assertDeepEqual(editor.Model.lines, ['abc', 'abc', 'abc'], 'One undo restores every row');
+                assertEqual(editor.History.undoStack.length, 0, 'The block edit was one entry');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('records edits whatever order the extensions are applied in', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                editor.Model.text = 'abc';
+                const { insert } = editor._;
+                BuffeeHistory(editor);
+                insert(0, 3, 'def');
+                assertEqual(editor.History.undoStack.length, 1, 'Recorded from the change event');
+                editor.History.undo();
+                assertDeepEqual(editor.Model.lines, ['abc'], 'Undone');
+                assertEqual(editor.History.undoStack.length, 0, 'The undo itself is not recorded');
+                editor.History.redo();
+                assertDeepEqual(editor.Model.lines, ['abcdef'], 'Redone');
+                assertEqual(editor.History.redoStack.length, 0, 'Nor is the redo');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('undoes indent and unindent as one step each', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                editor.Model.text = 'a\nb\nc';
+                editor.Selection.setSelection({ row: 0, col: 0 }, { row: 2, col: 1 });
+                editor.Selection.indent();
+                assertDeepEqual(editor.Model.lines, ['    a', '    b', '    c'], 'Indented');
+                editor.Selection.unindent();
+                assertDeepEqual(editor.Model.lines, ['a', 'b', 'c'], 'Unindented');
+                editor.History.undo();
+                assertDeepEqual(editor.Model.lines, ['    a', '    b', '    c'], 'One undo re-indents every row');
+                editor.History.undo();
+                assertDeepEqual(editor.Model.lines, ['a', 'b', 'c'], 'One more removes the indent');
+                assertEqual(editor.History.undoStack.length, 0, 'Two entries in all');
+            } finally {
+                cleanup();
+            }
+        });
     });
 
     // ===== UNDO TREE TESTS =====
@@ -749,57 +1248,1103 @@ function defineExtensionTests() {
                 cleanup();
             }
         });
-    });
 
-    // ===== ULTRAHIGHCAPACITY TESTS =====
-    extRunner.describe('UltraHighCapacity', () => {
-        extRunner.it('initializes UltraHighCapacity extension', () => {
+        extRunner.it('groups edits in a transaction into one node', () => {
             const { editor, cleanup } = createTestEditor();
             try {
-                BuffeeUltraHighCapacity(editor);
-                assertTrue(!!editor.UltraHighCapacity, 'UltraHighCapacity should be attached to editor');
-                assertFalse(editor.UltraHighCapacity.enabled, 'Should be disabled by default');
+                BuffeeUndoTree(editor);
+                editor.Model.text = 'one\ntwo';
+                editor.UndoTree.transact(() => {
+                    editor._.delete(0, 0, 'one\n');
+                    editor._.insert(0, 3, '!');
+                    editor._.insert(0, 0, '> ');
+                    editor.Selection.setCursor({ row: 0, col: 6 });
+                });
+                assertDeepEqual(editor.Model.lines, ['> two!'], 'Edits applied');
+                assertEqual(editor.UndoTree.current.operation.type, 'transaction', 'One node');
+                editor.Selection.setCursor({ row: 0, col: 0 });
+                editor._.render();
+                assertEqual(editor.UndoTree.current.cursorAfter.headCol, 6, 'Its cursorAfter settled when transact() rendered');
+                assertTrue(editor.UndoTree.undo(), 'Undo');
+                assertDeepEqual(editor.Model.lines, ['one', 'two'], 'One undo reverts all');
+                assertFalse(editor.UndoTree.canUndo, 'Back at the root');
+                editor.UndoTree.redo();
+                assertDeepEqual(editor.Model.lines, ['> two!'], 'One redo reapplies all');
             } finally {
                 cleanup();
             }
         });
 
-        extRunner.it('activates chunked mode', () => {
+        extRunner.it('breaks coalescing at word boundaries', () => {
             const { editor, cleanup } = createTestEditor();
             try {
-                BuffeeUltraHighCapacity(editor);
-                editor.UltraHighCapacity.activate(1000);
-                assertTrue(editor.UltraHighCapacity.enabled, 'Should be enabled after activate');
-                assertEqual(editor.UltraHighCapacity.totalLines, 0, 'Should start with 0 lines');
+                BuffeeUndoTree(editor, { wordBoundary: true, coalesceTimeout: Infinity });
+                for (const ch of 'let x') editor.Selection.insert(ch);
+                editor.UndoTree.undo();
+                assertEqual(editor.Model.lines[0], 'let ', 'Undo removes the last word');
+                editor.UndoTree.undo();
+                assertEqual(editor.Model.lines[0], '', 'Then the first');
             } finally {
                 cleanup();
             }
         });
 
-        extRunner.it('tracks total lines after append', async () => {
+        extRunner.it('restores the selection before and after each node', () => {
             const { editor, cleanup } = createTestEditor();
             try {
-                BuffeeUltraHighCapacity(editor);
-                editor.UltraHighCapacity.activate(1000);
+                BuffeeUndoTree(editor);
+                const events = [];
+                editor.UndoTree.addListener(e => events.push([e.type, e.node.id, e.cursorAfter.headCol]));
+                editor.Model.text = 'one two three';
+                editor.Selection.setSelection({ row: 0, col: 7 }, { row: 0, col: 4 });
+                editor.Selection.delete();
+                assertEqual(editor.Model.lines[0], 'one  three', 'Deleted');
+                const pos = () => [editor._.tail.col, editor._.head.col];
+                assertEqual(editor.UndoTree.current.cursorAfter.headCol, 4, 'cursorAfter is where the editor left the cursor');
 
-                // Append some lines
-                await editor.UltraHighCapacity.appendLines(['line1', 'line2', 'line3']);
-                assertEqual(editor.UltraHighCapacity.totalLines, 3, 'Should have 3 total lines');
+                editor.Selection.setCursor({ row: 0, col: 0 });
+                editor.UndoTree.undo();
+                assertDeepEqual(pos(), [7, 4], 'Undo restores the backward selection');
+                editor.UndoTree.redo();
+                assertDeepEqual(pos(), [4, 4], 'Redo restores the cursor after the action');
+                assertDeepEqual(events, [['edit', 1, 4], ['undo', 1, 4], ['redo', 1, 4]], 'Listeners see each step');
             } finally {
                 cleanup();
             }
         });
 
-        extRunner.it('clears chunk data', async () => {
+        extRunner.it('records typing over a selection as one node', () => {
             const { editor, cleanup } = createTestEditor();
             try {
-                BuffeeUltraHighCapacity(editor);
-                editor.UltraHighCapacity.activate(1000);
-                await editor.UltraHighCapacity.appendLines(['line1', 'line2']);
-                assertEqual(editor.UltraHighCapacity.totalLines, 2, 'Should have 2 lines');
+                BuffeeUndoTree(editor);
+                editor.Model.text = 'one\ntwo\nthree';
+                const pos = () => [editor._.tail.row, editor._.tail.col, editor._.head.row, editor._.head.col];
+                editor.Selection.setSelection({ row: 0, col: 1 }, { row: 2, col: 2 });
+                editor.Selection.insert('X');
+                assertDeepEqual(editor.Model.lines, ['oXree'], 'Replaced');
+                assertEqual(editor.UndoTree.current.id, 1, 'One node');
 
-                editor.UltraHighCapacity.clear();
-                assertEqual(editor.UltraHighCapacity.totalLines, 0, 'Should have 0 lines after clear');
+                editor.UndoTree.undo();
+                editor._.render();
+                assertDeepEqual(editor.Model.lines, ['one', 'two', 'three'], 'One undo restores the text');
+                assertDeepEqual(pos(), [0, 1, 2, 2], 'and the selection');
+                editor.UndoTree.redo();
+                editor._.render();
+                assertDeepEqual(editor.Model.lines, ['oXree'], 'Redo replaces again');
+                assertDeepEqual(pos(), [0, 2, 0, 2], 'with the cursor after the typed text');
+
+                editor.Selection.setSelection({ row: 0, col: 0 }, { row: 0, col: 1 });
+                editor.Selection.insert('Y');
+                editor.UndoTree.undo();
+                assertDeepEqual(editor.Model.lines, ['oXree'], 'A one-character selection is replaced in one node too');
+                assertDeepEqual(pos(), [0, 0, 0, 1], 'and selected again');
+            } finally {
+                cleanup();
+            }
+        });
+        extRunner.it('goes earlier and later by seconds across branches', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUndoTree(editor);
+                const t0 = editor.UndoTree.root.timestamp;
+                const edit = (col, text, seconds) => {
+                    editor._.insert(0, col, text);
+                    editor.UndoTree.current.timestamp = t0 + seconds * 1000;
+                    editor.UndoTree._lastOpTime = 0;
+                };
+                edit(0, 'a', 10);
+                edit(1, 'b', 20);
+                editor.UndoTree.undo();
+                edit(1, 'c', 30);
+                assertTrue(editor.UndoTree.earlier(5), 'Earlier by 5s');
+                assertEqual(editor.UndoTree.current.id, 2, 'The newest state at 25s is on the other branch');
+                assertEqual(editor.Model.lines[0], 'ab', 'Its text');
+                editor.UndoTree.earlier(100);
+                assertEqual(editor.Model.lines[0], '', 'Before everything: the original');
+                editor.UndoTree.later(15);
+                assertEqual(editor.Model.lines[0], 'a', 'Later by 15s');
+                editor.UndoTree.later(100);
+                assertEqual(editor.Model.lines[0], 'ac', 'Later than everything: the newest');
+                assertFalse(editor.UndoTree.later(100), 'Already there');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('undoes typing with several cursors as one node', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUndoTree(editor);
+                editor.Model.text = ' bar!\n baz!\n qux!';
+                editor.Selection.setCursor({ row: 0, col: 5 });
+                editor.Selection.addCursor({ row: 1, col: 5 });
+                editor.Selection.addCursor({ row: 2, col: 5 });
+                editor.Selection.insert('?');
+                editor.UndoTree.undo();
+                assertDeepEqual(editor.Model.lines, [' bar!', ' baz!', ' qux!'], 'One undo removes every ?');
+                assertEqual(editor.Selection.ranges.length, 3, 'Cursors were not stacked');
+                assertEqual(editor.UndoTree.canUndo, false, 'Back at the root');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('records edits whatever order the extensions are applied in', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                editor.Model.text = 'abc';
+                const { insert, delete: del } = editor._;
+                BuffeeUndoTree(editor);
+                insert(0, 3, 'def');
+                del(0, 0, 'a');
+                assertEqual(editor.UndoTree.getTree().children.length, 1, 'Recorded from the change events');
+                editor.UndoTree.undo();
+                editor.UndoTree.undo();
+                assertDeepEqual(editor.Model.lines, ['abc'], 'Both undone');
+                assertEqual(editor.UndoTree.canUndo, false, 'Back at the root');
+                assertEqual(editor.UndoTree.getTree().children.length, 1, 'Undo adds no nodes');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== UNDO TREE VIEW TESTS =====
+    extRunner.describe('UndoTreeView', () => {
+        const branchy = () => {
+            const editor = createTestEditor();
+            const panel = createTestEditor({ rows: 12 });
+            BuffeeUndoTree(editor.editor);
+            BuffeeUndoTreeView(editor.editor, panel.editor);
+            editor.editor.Model.text = 'abc';
+            editor.editor._.insert(0, 3, 'd');
+            editor.editor.UndoTree._lastOpTime = 0;
+            editor.editor._.insert(0, 4, 'e');
+            editor.editor.UndoTree.undo();
+            editor.editor._.insert(0, 0, 'X\nY');
+            editor.editor._.render();
+            return { editor: editor.editor, panel: panel.editor, cleanup: () => { editor.cleanup(); panel.cleanup(); } };
+        };
+        const withoutTimes = lines => lines.map(line => line.replace(/ \d\d:\d\d:\d\d/, ''));
+
+        extRunner.it('draws the branch graph in a read-only panel', () => {
+            const { editor, panel, cleanup } = branchy();
+            try {
+                assertDeepEqual(withoutTimes(editor.UndoTreeView.lines), [
+                    '@   [3] +"X\\nY"',
+                    '| o [2] +"e"',
+                    'o | [1] +"d"',
+                    '|/',
+                    'o   [0] original'
+                ], 'Newest first, branches merge into their parent');
+                assertEqual(panel.Mode.interactive, -1, 'Panel is read-only');
+                assertDeepEqual(withoutTimes(panel.Model.lines.slice(0, 5)), withoutTimes(editor.UndoTreeView.lines), 'Drawn in the panel');
+                assertEqual(editor.UndoTreeView.selected, 3, 'Current node selected');
+
+                editor.UndoTree.undo();
+                editor._.render();
+                assertEqual(withoutTimes(editor.UndoTreeView.lines)[2], '@ | [1] +"d"', 'Follows undo');
+                assertEqual(editor.UndoTreeView.selected, 1, 'Selection follows the current node');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('previews a node diff before jumping', () => {
+            const { editor, panel, cleanup } = branchy();
+            try {
+                assertTrue(editor.UndoTreeView.select(2), 'Select');
+                assertFalse(editor.UndoTreeView.select(99), 'No such node');
+                assertDeepEqual(editor.UndoTreeView.preview(), ['@@ -1,2 +1,1 @@', '-X', '-Yabcd', '+abcde'], 'Diff to the node');
+                assertDeepEqual(editor.Model.lines, ['X', 'Yabcd'], 'Previewing does not jump');
+                assertDeepEqual(panel.Model.lines.slice(6), ['--- [3] current', '+++ [2] +"e"', '@@ -1,2 +1,1 @@', '-X', '-Yabcd', '+abcde'], 'Shown below the graph');
+                assertDeepEqual(editor.UndoTreeView.preview(3), ['No changes'], 'Current node');
+
+                panel._.$l.dispatchEvent(new KeyboardEvent('keydown', { key: 'j', bubbles: true }));
+                assertEqual(editor.UndoTreeView.selected, 1, 'j selects the next node, skipping connectors');
+                panel._.$l.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+                assertDeepEqual(editor.Model.lines, ['abcd'], 'Enter jumps');
+                assertEqual(editor.UndoTree.current.id, 1, 'Current node');
+                assertFalse(editor.UndoTreeView.jump(1), 'Already there');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('does not copy the document while the current node is selected', () => {
+            const { editor, cleanup } = branchy();
+            try {
+                let copies = 0;
+                editor.Model.lines = new Proxy(editor.Model.lines, {
+                    get(target, key, receiver) {
+                        if (key === Symbol.iterator) copies++;
+                        return Reflect.get(target, key, receiver);
+                    }
+                });
+                for (const ch of 'typing') editor.Selection.insert(ch);
+                assertEqual(editor.UndoTreeView.selected, editor.UndoTree.current.id, 'Current node selected');
+                assertEqual(copies, 0, 'Keystrokes do not diff the document');
+                editor.UndoTreeView.select(0);
+                assertTrue(copies > 0, 'Selecting another node does');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== ULTRAHIGHCAPACITY TESTS =====
+    extRunner.describe('UltraHighCapacity', () => {
+        extRunner.it('initializes UltraHighCapacity extension', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                assertTrue(!!editor.UltraHighCapacity, 'UltraHighCapacity should be attached to editor');
+                assertFalse(editor.UltraHighCapacity.enabled, 'Should be disabled by default');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('activates chunked mode', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(1000);
+                assertTrue(editor.UltraHighCapacity.enabled, 'Should be enabled after activate');
+                assertEqual(editor.UltraHighCapacity.totalLines, 0, 'Should start with 0 lines');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('tracks total lines after append', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(1000);
+
+                // Append some lines
+                await editor.UltraHighCapacity.appendLines(['line1', 'line2', 'line3']);
+                assertEqual(editor.UltraHighCapacity.totalLines, 3, 'Should have 3 total lines');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('scrolls with the mouse wheel in navigation-only mode', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(1000);
+                await editor.UltraHighCapacity.appendLines(Array.from({ length: 100 }, (_, i) => `line${i}`));
+
+                editor._.$l.dispatchEvent(new WheelEvent('wheel', { deltaY: 5 * editor.lineHeight, cancelable: true }));
+                assertEqual(editor.Viewport.start, 5, 'Should scroll 5 lines');
+                editor._.$l.dispatchEvent(new WheelEvent('wheel', { deltaY: 500 * editor.lineHeight, cancelable: true }));
+                assertEqual(editor.Viewport.start, 90, 'Should stop with the last line at the bottom');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('clears chunk data', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(1000);
+                await editor.UltraHighCapacity.appendLines(['line1', 'line2']);
+                assertEqual(editor.UltraHighCapacity.totalLines, 2, 'Should have 2 lines');
+
+                editor.UltraHighCapacity.clear();
+                assertEqual(editor.UltraHighCapacity.totalLines, 0, 'Should have 0 lines after clear');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('streams a search through every chunk with progress', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(100);
+                await editor.UltraHighCapacity.appendLines(Array.from({ length: 1000 }, (_, i) => `line${i}`));
+
+                const progress = [];
+                const batches = [];
+                const search = editor.UltraHighCapacity.search('line\\d*7$', {
+                    regex: true,
+                    onMatch: rows => batches.push(rows.length),
+                    onProgress: p => progress.push(p.linesScanned)
+                });
+                const { rows, complete } = await search.done;
+                assertTrue(complete, 'Scans to the end');
+                assertEqual(rows.length, 100, 'One row in ten ends with 7');
+                assertEqual(rows[0], 7, 'Rows are absolute');
+                assertEqual(rows[99], 997, 'Last chunk is searched');
+                assertEqual(batches.length, 10, 'Matches reported per chunk');
+                assertDeepEqual(progress, [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000], 'Progress after each chunk');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('cancels and limits a chunk search', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(100);
+                await editor.UltraHighCapacity.appendLines(Array.from({ length: 1000 }, (_, i) => `line${i}`));
+
+                const search = editor.UltraHighCapacity.search('LINE', {
+                    onProgress: ({ chunk }) => chunk === 1 && search.cancel()
+                });
+                const cancelled = await search.done;
+                assertFalse(cancelled.complete, 'Cancelled search is incomplete');
+                assertEqual(cancelled.rows.length, 200, 'Stops after the chunk that cancelled');
+
+                const limited = await editor.UltraHighCapacity.search('line', { limit: 150 }).done;
+                assertFalse(limited.complete, 'Limited search is incomplete');
+                assertEqual(limited.rows.length, 150, 'Stops at the limit');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('jumps the viewport to a hit', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeUltraHighCapacity(editor);
+                editor.UltraHighCapacity.activate(100);
+                await editor.UltraHighCapacity.appendLines(Array.from({ length: 1000 }, (_, i) => `line${i}`));
+
+                editor.UltraHighCapacity.goTo(500);
+                assertEqual(editor.Viewport.start, 495, 'Hit is centered');
+                assertEqual(editor._.head.row, 500, 'Cursor on the hit');
+                editor.UltraHighCapacity.goTo(999);
+                assertEqual(editor.Viewport.start, 990, 'Clamped to the last page');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== SCROLLBAR TESTS =====
+    extRunner.describe('Scrollbar', () => {
+        const lines = n => Array.from({ length: n }, (_, i) => `line${i}`).join('\n');
+        const mouse = (node, type, clientY) =>
+            node.dispatchEvent(new MouseEvent(type, { clientY, button: 0, bubbles: true, cancelable: true }));
+
+        extRunner.it('sizes the thumb by viewport size over line count', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeScrollbar(editor);
+                editor.Model.text = lines(40);
+                editor.Scrollbar.enabled = true;
+
+                const trackHeight = 10 * editor.lineHeight;
+                assertEqual(editor.Scrollbar.$track.style.height, trackHeight + 'px', 'Track spans the viewport');
+                assertEqual(editor.Scrollbar.$thumb.style.height, Math.round(trackHeight / 4) + 'px', 'Thumb is a quarter of the track');
+                assertEqual(editor.Scrollbar.$thumb.style.top, '0px', 'Thumb starts at the top');
+
+                editor.Viewport.scroll(30);
+                assertEqual(editor.Scrollbar.$thumb.style.top, (trackHeight - Math.round(trackHeight / 4)) + 'px', 'Thumb reaches the bottom at the last page');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('hides the track when the document fits', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeScrollbar(editor);
+                editor.Model.text = lines(5);
+                editor.Scrollbar.enabled = true;
+                assertEqual(editor.Scrollbar.$track.style.display, 'none', 'Hidden for short documents');
+
+                editor.Model.text = lines(50);
+                assertEqual(editor.Scrollbar.$track.style.display, '', 'Shown once content overflows');
+
+                editor.Scrollbar.enabled = false;
+                assertEqual(editor.Scrollbar.$track.style.display, 'none', 'Hidden when disabled');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('pages the viewport on track click', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeScrollbar(editor);
+                editor.Model.text = lines(100);
+                editor.Scrollbar.enabled = true;
+                const { $track } = editor.Scrollbar;
+                const top = $track.getBoundingClientRect().top;
+
+                mouse($track, 'mousedown', top + 9 * editor.lineHeight);
+                assertEqual(editor.Viewport.start, 10, 'Click below the thumb pages down');
+                mouse($track, 'mousedown', top + 9 * editor.lineHeight);
+                assertEqual(editor.Viewport.start, 20, 'Pages down again');
+                mouse($track, 'mousedown', top);
+                assertEqual(editor.Viewport.start, 10, 'Click above the thumb pages up');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('scrolls the viewport by dragging the thumb', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeScrollbar(editor);
+                editor.Model.text = lines(100);
+                editor.Scrollbar.enabled = true;
+                const { $thumb } = editor.Scrollbar;
+                const range = 10 * editor.lineHeight - parseFloat($thumb.style.height);
+
+                mouse($thumb, 'mousedown', 0);
+                mouse(window, 'mousemove', range / 2);
+                assertEqual(editor.Viewport.start, 45, 'Half the track is half the scrollable range');
+                mouse(window, 'mousemove', range * 10);
+                assertEqual(editor.Viewport.start, 90, 'Clamped with the last line at the bottom');
+                mouse(window, 'mouseup', range * 10);
+                mouse(window, 'mousemove', 0);
+                assertEqual(editor.Viewport.start, 90, 'Drag ends on mouseup');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('uses the total line count with UltraHighCapacity', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeScrollbar(BuffeeUltraHighCapacity(editor));
+                editor.UltraHighCapacity.activate(1000);
+                await editor.UltraHighCapacity.appendLines(Array.from({ length: 5000 }, (_, i) => `line${i}`));
+                editor.Scrollbar.enabled = true;
+                const { $thumb } = editor.Scrollbar;
+                assertEqual($thumb.style.height, editor.lineHeight + 'px', 'Thumb clamps to its minimum height');
+
+                mouse($thumb, 'mousedown', 0);
+                mouse(window, 'mousemove', 10 * editor.lineHeight);
+                mouse(window, 'mouseup', 10 * editor.lineHeight);
+                assertEqual(editor.Viewport.start, 4990, 'Drags to the end of the chunked document');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== TREE-SITTER TESTS =====
+    extRunner.describe('TreeSitter', () => {
+        // Stand-in for web-tree-sitter: records edits, parses and capture queries
+        function fakeTreeSitter(captures = []) {
+            const log = { edits: [], parses: [], queries: [] };
+            const parser = {
+                parse(input, oldTree) {
+                    let text = '';
+                    const position = { row: 0, column: 0 };
+                    for (let chunk; (chunk = input(text.length, position)); ) {
+                        text += chunk;
+                        chunk.endsWith('\n') ? (position.row++, position.column = 0) : (position.column += chunk.length);
+                    }
+                    log.parses.push({ text, oldTree });
+                    return { rootNode: {}, edit: e => log.edits.push(e) };
+                }
+            };
+            const query = { captures: (node, options) => (log.queries.push(options), captures) };
+            return { parser, query, log };
+        }
+
+        extRunner.it('passes edits to tree.edit() and reparses with the old tree', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query, log } = fakeTreeSitter();
+                BuffeeTreeSitter(editor, { parser, query });
+                editor.Model.text = 'ab\ncd';
+                editor.TreeSitter.reparse();
+                assertEqual(log.parses[0].text, 'ab\ncd', 'Parser reads the document line by line');
+                assertEqual(log.parses[0].oldTree, null, 'First parse has no old tree');
+
+                editor.Selection.setCursor({ row: 1, col: 1 });
+                editor.Selection.insert('X\nY');
+                assertDeepEqual(log.edits[0], {
+                    startIndex: 4, oldEndIndex: 4, newEndIndex: 7,
+                    startPosition: { row: 1, column: 1 },
+                    oldEndPosition: { row: 1, column: 1 },
+                    newEndPosition: { row: 2, column: 1 }
+                }, 'Insert becomes a tree edit');
+
+                const oldTree = editor.TreeSitter.tree;
+                editor.TreeSitter.reparse();
+                assertEqual(log.parses[1].oldTree, oldTree, 'Reparse passes the edited tree');
+                assertEqual(log.parses[1].text, 'ab\ncX\nYd', 'Reparse sees the edit');
+
+                editor.Selection.delete();
+                assertDeepEqual(log.edits[1], {
+                    startIndex: 6, oldEndIndex: 7, newEndIndex: 6,
+                    startPosition: { row: 2, column: 0 },
+                    oldEndPosition: { row: 2, column: 1 },
+                    newEndPosition: { row: 2, column: 0 }
+                }, 'Delete becomes a tree edit');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('passes undo and redo to tree.edit() when History is applied first', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(editor);
+                const { parser, query, log } = fakeTreeSitter();
+                BuffeeTreeSitter(editor, { parser, query });
+                editor.Model.text = 'ab';
+                editor.TreeSitter.reparse();
+                editor.Selection.setCursor({ row: 0, col: 2 });
+                editor.Selection.insert('c');
+                editor.History.undo();
+                editor.History.redo();
+                assertDeepEqual(log.edits.map(e => [e.startIndex, e.oldEndIndex, e.newEndIndex]),
+                    [[2, 2, 3], [2, 3, 2], [2, 2, 3]], 'Insert, undo and redo all reach the tree');
+                editor.TreeSitter.reparse();
+                assertEqual(log.parses[1].text, 'abc', 'Reparse sees the redone text');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('drops the old tree when the whole text is replaced', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query, log } = fakeTreeSitter();
+                BuffeeTreeSitter(editor, { parser, query });
+                editor.Model.text = 'one';
+                editor.TreeSitter.reparse();
+                editor.Model.text = 'two';
+                assertEqual(editor.TreeSitter.tree, null, 'Tree is dropped');
+                editor.TreeSitter.reparse();
+                assertEqual(log.parses[1].oldTree, null, 'Full parse');
+                assertEqual(log.parses[1].text, 'two', 'Parses the new text');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('queries captures for the viewport rows only', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query, log } = fakeTreeSitter();
+                BuffeeTreeSitter(editor, { parser, query });
+                editor.Model.text = Array.from({ length: 100 }, (_, i) => 'line' + i).join('\n');
+                editor.TreeSitter.enabled = true;
+                editor.TreeSitter.reparse();
+                assertDeepEqual(log.queries[log.queries.length - 1], {
+                    startPosition: { row: 0, column: 0 },
+                    endPosition: { row: 10, column: 0 }
+                }, 'Query limited to the viewport');
+                const count = log.queries.length;
+                editor.Selection.moveCol(1);
+                assertEqual(log.queries.length, count, 'Same viewport reuses the captures');
+                editor.Viewport.set(51, 10);
+                assertDeepEqual(log.queries[log.queries.length - 1].startPosition, { row: 50, column: 0 }, 'Scrolling queries the new rows');
+            } finally {
+                cleanup();
+            }
+        });
+
+        // Capture on a node spanning [startRow, startCol] to [endRow, endCol]
+        const capture = (name, startRow, startCol, endRow, endCol) => ({
+            name,
+            node: { startPosition: { row: startRow, column: startCol }, endPosition: { row: endRow, column: endCol } }
+        });
+
+        extRunner.it('applies every capture on a line, nested ones on top', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query } = fakeTreeSitter([
+                    capture('keyword', 0, 0, 0, 3),
+                    capture('string', 0, 8, 0, 17),
+                    capture('string.escape', 0, 10, 0, 12),
+                    capture('variable', 0, 8, 0, 17)
+                ]);
+                BuffeeTreeSitter(editor, { parser, query });
+                editor.Model.text = 'let x = "a\\nb<i>";';
+                editor.TreeSitter.enabled = true;
+                editor.TreeSitter.reparse();
+                const $line = editor._.$textLayer.children[0];
+                const spans = [...$line.querySelectorAll('span')].map(s => [s.className, s.textContent]);
+                assertDeepEqual(spans, [
+                    ['highlight-keyword', 'let'],
+                    ['highlight-string', '"a'],
+                    ['highlight-string-escape', '\\n'],
+                    ['highlight-string', 'b<i>"']
+                ], 'Every capture applied; nested escape inside the string; first of equal ranges wins');
+                assertEqual($line.textContent, 'let x = "a\\nb<i>";', 'Text is unchanged');
+                assertEqual($line.querySelector('i'), null, 'Markup in the text stays text');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('highlights captures spanning rows', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query } = fakeTreeSitter([capture('comment.block', 0, 2, 2, 2)]);
+                BuffeeTreeSitter(editor, { parser, query });
+                editor.Model.text = 'a /* one\ntwo\n*/ b';
+                editor.TreeSitter.enabled = true;
+                editor.TreeSitter.reparse();
+                const rows = [0, 1, 2].map(i => [...editor._.$textLayer.children[i].querySelectorAll('span')].map(s => s.textContent));
+                assertDeepEqual(rows, [['/* one'], ['two'], ['*/']], 'Each row gets its part of the comment');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('maps capture names to colors like Syntax.setColors', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query } = fakeTreeSitter([capture('comment.line', 0, 0, 0, 4), capture('tag.custom', 0, 5, 0, 6)]);
+                BuffeeTreeSitter(editor, { parser, query, colors: { tag: null } });
+                editor.Model.text = '// x y';
+                editor.TreeSitter.enabled = true;
+                editor.TreeSitter.reparse();
+                const span = () => editor._.$textLayer.children[0].querySelectorAll('span');
+                assertEqual(span()[0].style.color, 'rgb(92, 99, 112)', 'comment.line falls back to the comment color');
+                assertEqual(span()[1].style.color, '', 'A null color leaves the capture to CSS');
+                editor.TreeSitter.setColors({ comment: '#ff0000', 'comment.line': '#00ff00' });
+                assertEqual(span()[0].style.color, 'rgb(0, 255, 0)', 'The most specific name wins');
+                editor.TreeSitter.resetColors();
+                assertEqual(span()[0].style.color, 'rgb(92, 99, 112)', 'Reset to defaults');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('renders hostile node text and capture names as text', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                const { parser, query } = fakeTreeSitter([
+                    capture('string', 0, 4, 0, 48),
+                    capture('x" onclick="window.__buffeePwned=1', 0, 0, 0, 3)
+                ]);
+                BuffeeTreeSitter(editor, { parser, query });
+                const hostile = 's = "<img src=x onerror=window.__buffeePwned=1>";';
+                editor.Model.text = hostile;
+                editor.TreeSitter.enabled = true;
+                editor.TreeSitter.reparse();
+                const $line = editor._.$textLayer.children[0];
+                assertEqual($line.textContent, hostile, 'Line text is exactly the document text');
+                assertEqual($line.querySelector('img'), null, 'Node text stays text');
+                const spans = [...$line.querySelectorAll('span')];
+                assertEqual(spans[0].className, 'highlight-x--onclick--window-__buffeePwned-1', 'Capture name cannot leave the class');
+                assertFalse(spans[0].hasAttribute('onclick'), 'No attributes from capture names');
+                assertEqual(spans[1].textContent, '"<img src=x onerror=window.__buffeePwned=1>"', 'String node text kept');
+                assertEqual(window.__buffeePwned, undefined, 'Nothing ran');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== SEARCH TESTS =====
+    extRunner.describe('Search', () => {
+        extRunner.it('finds matches with regex, case and whole-word options', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSearch(editor);
+                editor.Model.text = 'foo Foo food\nbar foo\nf.o';
+                assertEqual(await editor.Search.find('foo'), 4, 'Case-insensitive by default');
+                assertEqual(await editor.Search.find('foo', { caseSensitive: true }), 3, 'Case-sensitive');
+                assertEqual(await editor.Search.find('foo', { wholeWord: true }), 3, 'Whole words skip "food"');
+                assertEqual(await editor.Search.find('f.o'), 1, 'Plain queries match literally');
+                assertEqual(await editor.Search.find('f.o', { regex: true }), 5, 'Regex queries');
+                assertDeepEqual(editor.Search.matches[4], { row: 2, col: 0, length: 3 }, 'Matches are { row, col, length }');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('scans in chunks and drops a superseded scan', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSearch(editor, { chunkSize: 100 });
+                editor.Model.text = Array.from({ length: 1000 }, (_, i) => 'line ' + i).join('\n');
+                const first = editor.Search.find('line');
+                assertTrue(editor.Search.scanning, 'Scan yields before the end');
+                assertEqual(editor.Search.matches.length, 100, 'First chunk is scanned synchronously');
+                const second = editor.Search.find('9');
+                assertEqual(await first, null, 'Superseded scan resolves null');
+                assertEqual(await second, 300, 'Newer scan completes with every "9"');
+                assertFalse(editor.Search.scanning, 'Done scanning');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('navigates matches with wrap and scrolls to them', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSearch(editor);
+                editor.Model.text = Array.from({ length: 100 }, (_, i) => i === 50 || i === 80 ? 'x needle' : 'hay').join('\n');
+                await editor.Search.find('needle');
+                editor.Search.next();
+                assertEqual(editor._.head.row, 50, 'Selects the first match');
+                assertEqual(editor.Selection.lines[0], 'needle', 'Selection covers the match');
+                assertTrue(editor.Viewport.start <= 50 && editor.Viewport.end >= 50, 'Scrolls the match into view');
+                assertEqual(editor.Search.current, 0, 'Current match index');
+                editor.Search.next();
+                assertEqual(editor._.head.row, 80, 'Next match');
+                editor.Search.next();
+                assertEqual(editor._.head.row, 50, 'Wraps to the first match');
+                editor.Search.prev();
+                assertEqual(editor._.head.row, 80, 'Previous wraps to the last match');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('draws visible matches', async () => {
+            const { editor, container, cleanup } = createTestEditor();
+            try {
+                BuffeeSearch(editor);
+                editor.Model.text = Array.from({ length: 30 }, () => 'ab ab').join('\n');
+                await editor.Search.find('ab');
+                const visible = () => [...container.querySelectorAll('.buffee-search-match')].filter(m => m.style.display !== 'none');
+                assertEqual(visible().length, 20, 'Two marks on each of the 10 visible rows');
+                assertEqual(visible()[1].style.left, '3ch', 'Mark at the match column');
+                editor.Search.next();
+                assertEqual(container.querySelectorAll('.buffee-search-match-current').length, 1, 'Current match is marked');
+                editor.Search.clear();
+                assertEqual(visible().length, 0, 'Clear hides the marks');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('keeps matches in step with edits', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSearch(editor);
+                editor.Model.text = 'a\nb\nkey\nkey';
+                await editor.Search.find('key');
+                editor.Selection.setCursor({ row: 0, col: 1 });
+                editor.Selection.insert('\nkey');
+                assertDeepEqual(editor.Search.matches.map(m => m.row), [1, 3, 4], 'New match found, later ones shifted');
+                editor.Selection.setCursor({ row: 3, col: 3 });
+                editor.Selection.delete();
+                assertDeepEqual(editor.Search.matches.map(m => m.row), [1, 4], 'Broken match dropped');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('replaces the current match and moves on', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeSearch(editor);
+                editor.Model.text = 'let a = 1;\nlet b = 2;';
+                await editor.Search.find('let');
+                editor.Search.next();
+                assertTrue(editor.Search.replace('const'), 'Replaces the selected match');
+                assertEqual(editor.Model.lines[0], 'const a = 1;', 'First line replaced');
+                assertEqual(editor._.head.row, 1, 'Selects the next match');
+                assertEqual(editor.Search.matches.length, 1, 'Replaced match is gone');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('replaces all matches with regex groups, undoably', async () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHistory(BuffeeSearch(editor));
+                editor.Model.text = 'k1=v1\nk2=v2\nk3=v3';
+                await editor.Search.find('(\\w+)=(\\w+)', { regex: true });
+                assertEqual(await editor.Search.replaceAll('$2: $1'), 3, 'Replaced count');
+                assertDeepEqual(editor.Model.lines, ['v1: k1', 'v2: k2', 'v3: k3'], 'Groups expanded');
+                assertEqual(editor.Search.matches.length, 0, 'Searches again afterwards');
+                assertTrue(editor.History.undo(), 'Undo');
+                assertDeepEqual(editor.Model.lines, ['k1=v1', 'k2=v2', 'k3=v3'], 'One undo restores every line');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== HIGHLIGHTS TESTS =====
+    extRunner.describe('Highlights', () => {
+        extRunner.it('anchored highlights follow scrolling and hide off-screen', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHighlights(editor);
+                editor.Model.text = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+                const hl = editor.Highlights.anchor(12, 2, 3, { backgroundColor: 'red' });
+                assertTrue(hl.classList.contains('buffee-highlight-anchored'), 'Anchored class');
+                assertEqual(hl.style.display, 'none', 'Hidden while its row is below the viewport');
+
+                editor.Viewport.set(8, 10);
+                assertEqual(hl.style.display, '', 'Shown once scrolled into view');
+                assertEqual(hl.style.top, `${5 * editor.lineHeight}px`, 'Top from the absolute row');
+                assertEqual(hl.style.width, '3ch', 'Width in characters');
+
+                editor.Viewport.set(14, 10);
+                assertEqual(hl.style.display, 'none', 'Hidden once scrolled past');
+
+                editor.Highlights.create(0, 0, 1);
+                editor.Highlights.clear();
+                assertDeepEqual(editor.Highlights.anchored, [hl], 'clear() keeps anchored highlights');
+                editor.Highlights.remove(hl);
+                assertEqual(editor.Highlights.anchored.length, 0, 'remove() drops anchored highlights');
+                assertFalse(hl.isConnected, 'Element removed');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('anchored highlights move with edits above them', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHighlights(editor);
+                editor.Model.text = 'a\nb\nmark here\nd';
+                const hl = editor.Highlights.anchor(2, 0, 4);
+                editor._.insert(0, 1, '\nx\ny');
+                assertDeepEqual(editor.Highlights.positionOf(hl), { row: 4, col: 0, width: 4 }, 'Inserted lines push it down');
+                assertEqual(hl.style.top, `${4 * editor.lineHeight}px`, 'Redrawn at the new row');
+                editor._.delete(1, 0, 'x\ny\n');
+                assertDeepEqual(editor.Highlights.positionOf(hl), { row: 2, col: 0, width: 4 }, 'Deleted lines pull it up');
+                editor._.insert(2, 0, '> ');
+                assertDeepEqual(editor.Highlights.positionOf(hl), { row: 2, col: 2, width: 4 }, 'Text before it on the row moves it right');
+                editor._.delete(1, 1, '\n> mark');
+                assertEqual(editor.Highlights.positionOf(hl), null, 'Deleting its text removes it');
+                assertFalse(hl.isConnected, 'Element removed');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('drops anchored highlights when the document is replaced', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeHighlights(editor);
+                editor.Model.text = 'a\nb\nmark here\nd';
+                const hl = editor.Highlights.anchor(2, 0, 4);
+                const plain = editor.Highlights.create(0, 0, 1);
+                editor.Model.text = 'x';
+                assertEqual(editor.Highlights.positionOf(hl), null, 'Anchor dropped');
+                assertFalse(hl.isConnected, 'Element removed');
+                assertDeepEqual(editor.Highlights.all, [plain], 'Viewport highlights stay, and anchors were never among them');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== DECORATIONS TESTS =====
+    extRunner.describe('Decorations', () => {
+        extRunner.it('draws decorations at absolute rows across scrolling', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeDecorations(editor);
+                editor.Model.text = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+                editor.Decorations.set('lint', [
+                    { row: 2, startCol: 0, endCol: 4, className: 'lint-error' },
+                    { row: 20, startCol: 5, endCol: 7, className: 'lint-warning' }
+                ]);
+                const visible = () => [...editor._.$l.querySelectorAll('.buffee-decoration')]
+                    .filter(el => el.style.display !== 'none')
+                    .map(el => [el.className, el.style.top, el.style.left, el.style.width]);
+                assertDeepEqual(visible(), [['buffee-decoration lint-error', `${2 * editor.lineHeight}px`, '0ch', '4ch']], 'Only rows in the viewport are drawn');
+
+                editor.Viewport.set(16, 10);
+                assertDeepEqual(visible(), [['buffee-decoration lint-warning', `${5 * editor.lineHeight}px`, '5ch', '2ch']], 'Scrolling redraws from absolute rows');
+
+                editor.Decorations.set('tsc', [{ row: 18, startCol: 0, endCol: 1 }]);
+                editor.Decorations.set('lint', []);
+                assertDeepEqual(editor.Decorations.owners, ['lint', 'tsc'], 'Owners are independent');
+                assertEqual(visible().length, 1, 'set() replaces only its owner');
+                editor.Decorations.clear();
+                assertEqual(visible().length, 0, 'clear() removes every owner');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('shifts decorations with edits', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeDecorations(editor);
+                editor.Model.text = 'one\ntwo\nconst foo = 1;\nfour';
+                editor.Decorations.set('lint', [{ row: 2, startCol: 6, endCol: 9 }, { row: 3, startCol: 0, endCol: 4 }]);
+                const ranges = () => editor.Decorations.get('lint').map(d => [d.row, d.startCol, d.endCol]);
+
+                editor._.insert(0, 3, '\nnew');
+                assertDeepEqual(ranges(), [[3, 6, 9], [4, 0, 4]], 'Lines added above move them down');
+                editor._.insert(3, 0, '  ');
+                assertDeepEqual(ranges(), [[3, 8, 11], [4, 0, 4]], 'Text before them on the row moves them right');
+                editor._.insert(3, 11, 'Bar');
+                assertDeepEqual(ranges(), [[3, 8, 11], [4, 0, 4]], 'Typing at the end does not extend');
+                editor._.delete(0, 0, 'one\nnew\n');
+                assertDeepEqual(ranges(), [[1, 8, 11], [2, 0, 4]], 'Lines removed above move them up');
+                editor._.delete(1, 6, 'const fooBar');
+                assertDeepEqual(ranges(), [[2, 0, 4]], 'A deleted range is dropped');
+                editor._.insert(2, 2, '\n');
+                assertDeepEqual(ranges(), [[2, 0, 2]], 'A split range keeps its first row');
+                editor.Model.text = 'x';
+                assertDeepEqual(editor.Decorations.owners, [], 'A new document clears them');
+                assertEqual(editor._.$l.querySelectorAll('.buffee-decoration:not([style*="none"])').length, 0, 'Nothing drawn');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('follows undo and redo whatever order the extensions are applied in', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeDecorations(BuffeeHistory(editor));
+                editor.Model.text = 'const foo = 1;';
+                editor.Decorations.set('lint', [{ row: 0, startCol: 6, endCol: 9 }]);
+                const origins = [];
+                editor.on('change', ({ origin }) => origins.push(origin));
+                const ranges = () => editor.Decorations.get('lint').map(d => [d.row, d.startCol, d.endCol]);
+
+                editor.Selection.insert('\n');
+                assertDeepEqual(ranges(), [[1, 6, 9]], 'The edit moves it down');
+                editor.History.undo();
+                assertDeepEqual(ranges(), [[0, 6, 9]], 'Undo moves it back');
+                editor.History.redo();
+                assertDeepEqual(ranges(), [[1, 6, 9]], 'Redo moves it again');
+                assertDeepEqual(origins, ['api', 'undo', 'redo'], 'Change events carry their origin');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('finds decorations at a position and shows their hover', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeDecorations(editor);
+                editor.Model.text = 'let x = <b>1</b>;';
+                editor.Decorations.set('tsc', [{ row: 0, startCol: 4, endCol: 5, className: 'type-error', hover: "Type '<b>' is not assignable" }]);
+                editor.Decorations.set('lint', [{ row: 0, startCol: 4, endCol: 5, hover: "'x' is never used" }, { row: 0, startCol: 8, endCol: 8 }]);
+                assertDeepEqual(editor.Decorations.at(0, 4).map(d => d.owner), ['tsc', 'lint'], 'Both owners at the column');
+                assertEqual(editor.Decorations.at(0, 5).length, 0, 'endCol is exclusive');
+                assertEqual(editor.Decorations.at(0, 8).length, 1, 'An empty range covers its column');
+
+                assertTrue(editor.Decorations.showHover(0, 4), 'Hover shown');
+                const $hover = editor.Decorations.$hover;
+                assertEqual($hover.textContent, "Type '<b>' is not assignable\n'x' is never used", 'Messages joined, as text');
+                assertEqual($hover.querySelector('b'), null, 'Messages are not parsed as HTML');
+                assertEqual($hover.style.left, '4ch', 'Next to the decoration');
+                assertFalse(editor.Decorations.showHover(0, 1), 'Nothing at column 1');
+                assertEqual($hover.style.display, 'none', 'Hidden');
+
+                const { $e, $l } = editor._;
+                const charWidth = $e.querySelector('.buffee-cursor').getBoundingClientRect().width || 14;
+                const rect = $l.getBoundingClientRect();
+                $l.dispatchEvent(new MouseEvent('mousemove', { clientX: rect.left + 4.5 * charWidth, clientY: rect.top + editor.lineHeight / 2 }));
+                assertEqual($hover.style.display, '', 'Mouse over the decoration shows its hover');
+            } finally {
+                cleanup();
+            }
+        });
+    });
+
+    // ===== DIAGNOSTICS TESTS =====
+    extRunner.describe('Diagnostics', () => {
+        extRunner.it('draws gutter icons and underlines for visible diagnostics', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeDiagnostics(editor);
+                editor.Model.text = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+                editor.Diagnostics.set([
+                    { row: 20, col: 5, endCol: 7, severity: 'warning', message: 'Unused' },
+                    { row: 2, col: 0, endCol: 4, severity: 'warning', message: 'Shadowed' },
+                    { row: 2, col: 5, endCol: 5, severity: 'error', message: 'Missing ;' },
+                    { row: 3, col: 1, severity: 'bogus', message: 'Whole line' }
+                ]);
+                const squiggles = () => [...editor._.$l.querySelectorAll('.buffee-diagnostic')]
+                    .filter(el => el.style.display !== 'none')
+                    .map(el => [el.className, el.style.top, el.style.left, el.style.width]);
+                const icons = () => [...editor._.$e.querySelectorAll('.buffee-gutter .buffee-diagnostic-icon')]
+                    .map(el => [el.parentNode.firstChild.textContent, el.className, el.title]);
+                const lh = editor.lineHeight;
+                assertDeepEqual(squiggles(), [
+                    ['buffee-diagnostic buffee-diagnostic-warning', `${2 * lh}px`, '0ch', '4ch'],
+                    ['buffee-diagnostic buffee-diagnostic-error', `${2 * lh}px`, '5ch', '1ch'],
+                    ['buffee-diagnostic buffee-diagnostic-error', `${3 * lh}px`, '1ch', '5ch']
+                ], 'Sorted; an empty range underlines one column; no endCol runs to the end of the line');
+                assertDeepEqual(icons(), [
+                    ['3', 'buffee-gutter-marker buffee-diagnostic-icon buffee-diagnostic-icon-error', 'Shadowed\nMissing ;'],
+                    ['4', 'buffee-gutter-marker buffee-diagnostic-icon buffee-diagnostic-icon-error', 'Whole line']
+                ], 'One icon per row, for its most severe diagnostic');
+
+                editor.Viewport.set(16, 10);
+                assertDeepEqual(squiggles().map(s => s[1]), [`${5 * lh}px`], 'Scrolling redraws from absolute rows');
+                assertDeepEqual(icons().map(i => i[0]), ['21'], 'Icons follow scrolling');
+
+                editor._.insert(0, 0, 'new\n');
+                assertEqual(editor.Diagnostics.get()[3].row, 21, 'Edits move diagnostics');
+                editor.Diagnostics.clear();
+                assertEqual(squiggles().length + icons().length, 0, 'clear() removes everything');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('navigates between diagnostics and shows hovers', () => {
+            const { editor, cleanup } = createTestEditor();
+            try {
+                BuffeeDiagnostics(editor);
+                editor.Model.text = Array.from({ length: 40 }, (_, i) => `line ${i}`).join('\n');
+                editor.Diagnostics.set([
+                    { row: 1, col: 2, endCol: 4, severity: 'info', message: '<b>Note</b>' },
+                    { row: 30, col: 0, endCol: 4, message: 'Broken' }
+                ]);
+                const at = d => [d.row, d.col];
+                assertDeepEqual(at(editor.Diagnostics.next()), [1, 2], 'Next after the cursor');
+                assertDeepEqual([editor._.head.row, editor._.head.col], [1, 2], 'Cursor moved');
+                assertDeepEqual(at(editor.Diagnostics.next()), [30, 0], 'Next again');
+                assertEqual(editor.Viewport.start, 25, 'Scrolled to center it');
+                assertDeepEqual(at(editor.Diagnostics.next()), [1, 2], 'Wraps to the first');
+                assertDeepEqual(at(editor.Diagnostics.prev()), [30, 0], 'Prev wraps to the last');
+
+                editor.Viewport.set(1, 10);
+                assertTrue(editor.Diagnostics.showHover(1, 3), 'Hover shown');
+                const $hover = editor.Diagnostics.$hover;
+                assertEqual($hover.textContent, 'info: <b>Note</b>', 'Severity and message, as text');
+                assertEqual($hover.querySelector('b'), null, 'Messages are not parsed as HTML');
+                assertFalse(editor.Diagnostics.showHover(1, 4), 'endCol is exclusive');
+                assertEqual($hover.style.display, 'none', 'Hidden');
+
+                editor.Diagnostics.clear();
+                assertEqual(editor.Diagnostics.next(), null, 'Nothing to navigate to');
+            } finally {
+                cleanup();
+            }
+        });
+
+        extRunner.it('publishes counts on the frame for status line callbacks', () => {
+            const seen = [];
+            const { editor, cleanup } = createTestEditor({
+                callbacks: { diagnostics: frame => seen.push({ ...frame.diagnostics }) }
+            });
+            try {
+                BuffeeDiagnostics(editor);
+                editor.Model.text = 'let x = 1\nlet y';
+                editor.Diagnostics.set([
+                    { row: 0, col: 4, endCol: 5, severity: 'warning', message: 'Unused' },
+                    { row: 1, col: 0, endCol: 5, message: 'Missing initializer' }
+                ]);
+                assertDeepEqual(seen[seen.length - 1], { error: 1, warning: 1, info: 0, hint: 0, total: 2 }, 'Counts by severity');
+                const calls = seen.length;
+                editor._.render();
+                assertEqual(seen.length, calls, 'Unchanged counts do not call back');
+                editor._.delete(0, 0, 'let x = 1\n');
+                editor._.render();
+                assertDeepEqual(editor.Diagnostics.counts, { error: 1, warning: 0, info: 0, hint: 0, total: 1 }, 'Deleted diagnostics are dropped');
+                assertEqual(seen[seen.length - 1].warning, 0, 'Callback sees the new counts');
+                editor.Model.text = 'const z = 2';
+                assertDeepEqual(editor.Diagnostics.get(), [], 'A new document clears them');
+                assertDeepEqual(seen[seen.length - 1], { error: 0, warning: 0, info: 0, hint: 0, total: 0 }, 'Callback sees zero counts');
             } finally {
                 cleanup();
             }
@@ -14,11 +14,17 @@
 const Key = {
   Enter: 'Enter',
   Backspace: 'Backspace',
+  Delete: 'Delete',
   Tab: 'Tab',
+  Escape: 'Escape',
   ArrowLeft: 'ArrowLeft',
   ArrowRight: 'ArrowRight',
   ArrowUp: 'ArrowUp',
-  ArrowDown: 'ArrowDown'
+  ArrowDown: 'ArrowDown',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown'
 };
 
 const VALID_KEYS = new Set(Object.values(Key));
@@ -41,6 +47,47 @@ function dispatchKey(node, key, modifiers = {}) {
   node.dispatchEvent(event);
 }
 
+// Dispatches mousedown/mouseup at an absolute row and column fencepost.
+// detail is the click count (2 = double-click, 3 = triple-click).
+function dispatchClick(node, editor, row, col, modifiers = {}, detail = 1) {
+  const init = { ...pointAt(node, editor, row, col), bubbles: true, cancelable: true, button: 0, detail, ...mouseModifiers(modifiers) };
+  node.dispatchEvent(new MouseEvent('mousedown', init));
+  node.dispatchEvent(new MouseEvent('mouseup', init));
+}
+
+// Dispatches mousedown at one position, mousemove to another and mouseup there.
+function dispatchDrag(node, editor, from, to, modifiers = {}) {
+  const init = { bubbles: true, cancelable: true, button: 0, detail: 1, ...mouseModifiers(modifiers) };
+  node.dispatchEvent(new MouseEvent('mousedown', { ...init, ...pointAt(node, editor, from.row, from.col) }));
+  node.dispatchEvent(new MouseEvent('mousemove', { ...init, ...pointAt(node, editor, to.row, to.col) }));
+  node.dispatchEvent(new MouseEvent('mouseup', { ...init, ...pointAt(node, editor, to.row, to.col) }));
+}
+
+// Maps { meta, ctrl, shift, alt } to MouseEvent init flags
+function mouseModifiers(modifiers) {
+  return {
+    metaKey: modifiers.meta || false,
+    ctrlKey: modifiers.ctrl || false,
+    shiftKey: modifiers.shift || false,
+    altKey: modifiers.alt || false
+  };
+}
+
+// Dispatches a wheel event with pixel deltas
+function dispatchWheel(node, deltaY, deltaX = 0) {
+  node.dispatchEvent(new WheelEvent('wheel', { deltaY, deltaX, deltaMode: 0, bubbles: true, cancelable: true }));
+}
+
+// Client coordinates of an absolute row/col fencepost (vertically centered in the row)
+function pointAt(node, editor, row, col) {
+  const rect = node.getBoundingClientRect();
+  const charWidth = node.querySelector('.buffee-cursor').getBoundingClientRect().width || 14;
+  return {
+    clientX: rect.left + col * charWidth - node.scrollLeft,
+    clientY: rect.top + (row - editor.Viewport.start + 0.5) * editor.lineHeight
+  };
+}
+
 // ===========================================
 // Test Runner
 // ===========================================
@@ -212,6 +259,7 @@ class EditorTestHarness {
       _modifiers: {},
 
       withMetaKey() { this._modifiers.meta = true; return this; },
+      withCtrlKey() { this._modifiers.ctrl = true; return this; },
       withShiftKey() { this._modifiers.shift = true; return this; },
       withAltKey() { this._modifiers.alt = true; return this; },
 
@@ -239,6 +287,45 @@ class EditorTestHarness {
     this.walkthrough.recordStep(`type('${text}')`, { type: 'type', text });
     for (const char of text) dispatchKey(this.blockquote, char);
   }
+
+  click(row, col) {
+    const blockquote = this.blockquote;
+    const fixture = this;
+
+    return {
+      _modifiers: {},
+
+      withMetaKey() { this._modifiers.meta = true; return this; },
+      withShiftKey() { this._modifiers.shift = true; return this; },
+      withAltKey() { this._modifiers.alt = true; return this; },
+
+      once() { return this.times(1); },
+
+      // times(2) is a double-click, times(3) a triple-click
+      times(count) {
+        const modStr = Object.keys(this._modifiers).map(k => k + '+').join('');
+        fixture.walkthrough.recordStep(`click(${modStr}${row},${col})${count > 1 ? `.times(${count})` : ''}`, {
+          type: 'click', row, col, modifiers: { ...this._modifiers }, count
+        });
+        for (let i = 1; i <= count; i++) dispatchClick(blockquote, fixture.editor, row, col, this._modifiers, i);
+        return this;
+      }
+    };
+  }
+
+  // modifiers: { meta, shift, alt }, e.g. { alt: true, shift: true } for a box selection
+  drag(fromRow, fromCol, toRow, toCol, modifiers = {}) {
+    const from = { row: fromRow, col: fromCol };
+    const to = { row: toRow, col: toCol };
+    const modStr = Object.keys(modifiers).filter(k => modifiers[k]).map(k => k + '+').join('');
+    this.walkthrough.recordStep(`drag(${modStr}${fromRow},${fromCol} → ${toRow},${toCol})`, { type: 'drag', from, to, modifiers });
+    dispatchDrag(this.blockquote, this.editor, from, to, modifiers);
+  }
+
+  wheel(deltaY, deltaX = 0) {
+    this.walkthrough.recordStep(`wheel(${deltaY}, ${deltaX})`, { type: 'wheel', deltaY, deltaX });
+    dispatchWheel(this.blockquote, deltaY, deltaX);
+  }
 }
 
 const FixtureFactory = {
@@ -68,6 +68,14 @@ class Walkthrough {
       for (let i = 0; i < count; i++) {
         dispatchKey(target, meta.key, meta.modifiers);
       }
+    } else if (meta.type === 'click') {
+      for (let i = 1; i <= meta.count; i++) {
+        dispatchClick(target, harness.editor, meta.row, meta.col, meta.modifiers, i);
+      }
+    } else if (meta.type === 'drag') {
+      dispatchDrag(target, harness.editor, meta.from, meta.to, meta.modifiers);
+    } else if (meta.type === 'wheel') {
+      dispatchWheel(target, meta.deltaY, meta.deltaX);
     }
   }
 